@@ -7,59 +7,544 @@
 
 import fs from 'fs';
 import path from 'path';
-import { execSync } from 'child_process';
+import esbuild from 'esbuild';
 import { fileURLToPath } from 'url';
+import QuadKernFingerprinter, { MANIFEST_FILE } from './tools/fingerprint.js';
+import QuadKernHTMLOptimizer from './tools/html-optimizer.js';
+import QuadKernCSSProcessor from './tools/css-processor.js';
+import QuadKernSizeBudget from './tools/size-budget.js';
+import QuadKernCriticalCSS from './tools/critical-css.js';
+import QuadKernTailwind from './tools/tailwind.js';
+import QuadKernFonts from './tools/fonts.js';
+import QuadKernImages from './tools/images.js';
+import QuadKernPages from './tools/pages.js';
+import QuadKernData from './tools/data.js';
+import QuadKernIcons from './tools/icons.js';
+import QuadKernLinkValidator from './tools/links.js';
+import QuadKernSEO from './tools/seo.js';
+import QuadKernSecurity from './tools/security.js';
+import QuadKernAccessibility, { IMPACTS } from './tools/accessibility.js';
+import QuadKernWatcher from './tools/watcher.js';
+import QuadKernServer from './tools/server.js';
+import QuadKernPluginHost from './tools/plugins.js';
+import QuadKernConfig from './tools/config.js';
+import QuadKernReproducible from './tools/reproducible.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Script clásico para navegadores sin soporte de módulos (<script nomodule>)
+const LEGACY_BUNDLE = 'main.legacy.js';
+
+// Métodos de consola que se quitan del bundle cuando __DEV__ es false (warn y error se conservan)
+const VERBOSE_CONSOLE = ['console.log', 'console.info', 'console.debug'];
+
+// Código que no puede quedar en el bundle cuando el define está en false
+const DEBUG_MARKERS = {
+  __DEV__: VERBOSE_CONSOLE,
+  __QK_DEBUG__: ['QuadKernDebug']
+};
+
+// Imagen Open Graph / Twitter generada a partir del logo (nombre estable, sin fingerprint)
+const SOCIAL_IMAGE = 'social-card.png';
+
+// Etapas incrementales en orden de ejecución
+const STAGE_ORDER = ['ts', 'tailwind', 'css', 'html', 'images', 'srcset', 'critical', 'assets', 'fonts', 'fingerprint', 'seo', 'security', 'links', 'a11y', 'report'];
+
+// Grafo de dependencias: etapa → etapas que consumen su salida
+const STAGE_DEPENDENTS = {
+  ts: ['tailwind', 'css', 'fingerprint'],
+  // Un cambio de CSS o HTML solo repite la reescritura de referencias (srcset), no la codificación de imágenes
+  tailwind: ['srcset', 'critical', 'fingerprint'],
+  css: ['srcset', 'critical', 'fingerprint'],
+  html: ['tailwind', 'css', 'srcset', 'critical', 'fonts', 'fingerprint'],
+  images: ['srcset', 'critical', 'fingerprint'],
+  srcset: ['critical', 'fingerprint'],
+  critical: ['fingerprint'],
+  assets: ['fonts', 'fingerprint'],
+  fonts: ['fingerprint'],
+  fingerprint: ['seo', 'security', 'links', 'a11y', 'report'],
+  seo: ['security', 'links', 'a11y', 'report'],
+  security: ['links', 'a11y', 'report'],
+  links: ['report'],
+  a11y: ['report'],
+  report: []
+};
+
 class QuadKernBuilder {
-  constructor() {
-    this.srcDir = './src';
-    this.docsDir = './docs';
-    this.publicDir = './public';
-    this.outputDir = './docs';
+  /**
+   * @param {object} options - Resultado de QuadKernConfig.resolve() (todas las claves son opcionales)
+   * @param {string} options.mode - 'production' | 'development'
+   * @param {string} options.srcDir
+   * @param {string} options.publicDir
+   * @param {string} options.outDir - Directorio de salida (docs/ por defecto)
+   * @param {object[]} options.plugins - Plugins (ver tools/plugins.js)
+   * @param {object} options.config - Se combina sobre this.config
+   * @param {boolean} options.exitOnError - Terminar el proceso si el build falla (true por defecto)
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.exitOnError = options.exitOnError !== false;
+    this.mode = options.mode || 'production';
+    this.srcDir = options.srcDir || './src';
+    this.htmlSourceDir = path.join(this.srcDir, 'pages');
+    this.partialsDir = path.join(this.srcDir, 'partials');
+    this.layoutsDir = path.join(this.srcDir, 'layouts');
+    this.dataDir = path.join(this.srcDir, 'data');
+    this.iconsDir = path.join(this.srcDir, 'icons');
+    this.docsDir = options.outDir || './docs';
+    this.publicDir = options.publicDir || './public';
+    this.outputDir = this.docsDir;
+    
+    // Hojas de estilo: entrada (con @import) → archivo emitido en docs/
+    this.stylesheets = [
+      { entry: path.join(this.srcDir, 'styles', 'index.css'), output: 'styles.css', banner: true },
+      { entry: path.join(this.publicDir, 'effects.css'), output: 'effects.css' }
+    ];
     
     this.config = {
       minify: true,
       optimize: true,
       generateSourceMaps: false,
-      watchMode: false
+      watchMode: false,
+      fingerprint: true,
+      // Un presupuesto excedido corta el build (si no, solo se reporta)
+      enforceBudgets: true,
+      
+      // Constantes reemplazadas en el bundle; con __DEV__ en false también se eliminan los console.log/info/debug
+      defines: {
+        __DEV__: false,
+        __QK_DEBUG__: false
+      },
+      
+      // CSS crítico: zonas above-the-fold cuyo CSS se inlinea en <head>
+      critical: {
+        enabled: true,
+        stylesheets: ['tailwind.css', 'effects.css', 'styles.css'],
+        roots: ['header', '#inicio']
+      },
+      
+      // Imágenes de public/: variantes responsive para raster, svgo para SVG
+      images: {
+        files: [
+          'QuadkernLogo.png',
+          'background.svg'
+        ],
+        widths: [280, 400, 560, 800],
+        formats: ['avif', 'webp'],
+        // Ancho de render del logo del hero según src/styles/responsive.css
+        sizes: {
+          'QuadkernLogo.png': '(max-width: 640px) 280px, (max-width: 1024px) 350px, 400px'
+        }
+      },
+      
+      // Fuentes locales (rutas relativas a public/): se subsetean a los glifos del sitio
+      fonts: {
+        subset: true,
+        files: [
+          { family: 'JetBrains Sans', file: 'fonts/JetBrainsSans-Regular.woff2', weight: 400, preload: true },
+          { family: 'JetBrains Mono', file: 'fonts/JetBrainsMono-Regular.woff2', weight: 400, preload: false }
+        ]
+      },
+      
+      // sitemap.xml, robots.txt, JSON-LD de la organización (src/data/organization.json) y metadatos sociales
+      seo: {
+        enabled: true,
+        // URL pública; si es null se toma el dominio de public/CNAME
+        url: null,
+        // Rutas excluidas en robots.txt
+        disallow: [],
+        // Página que recibe el JSON-LD de la organización, sus miembros y proyectos
+        structuredDataPage: 'index.html',
+        // Open Graph / Twitter: el front-matter (image, imageAlt, ogType) reemplaza estos valores por página
+        social: {
+          // Logo de public/ con el que se genera social-card.png (1200×630)
+          image: 'QuadkernLogo.png',
+          background: '#0f1624',
+          imageAlt: null,
+          locale: 'es_ES',
+          twitterSite: null
+        }
+      },
+      
+      // Content-Security-Policy (meta) con los orígenes y el contenido inline de cada página
+      csp: {
+        enabled: true,
+        // Los handlers on* (onload del CSS crítico) se admiten por hash con 'unsafe-hashes'; en false cada uno es un error
+        allowInlineHandlers: true,
+        // Fuentes extra por directiva que no se deducen del HTML: { 'connect-src': ['https://api.example.com'] }
+        directives: {}
+      },
+      
+      // Subresource Integrity para los scripts y hojas de estilo locales
+      sri: {
+        enabled: true,
+        algorithm: 'sha384'
+      },
+      
+      // Validación de enlaces sobre la salida final: 'error' corta el build, 'warn' solo avisa, 'off' no comprueba
+      links: {
+        enabled: true,
+        // Página que debe contener las secciones de src/data/navigation.json
+        sectionsPage: 'index.html',
+        severity: {
+          brokenAnchor: 'error',
+          missingFile: 'error',
+          placeholder: 'warn',
+          missingSection: 'error'
+        }
+      },
+      
+      // Auditoría de accesibilidad: los problemas con impacto >= failOn cortan el build
+      accessibility: {
+        enabled: true,
+        failOn: 'serious',
+        // Fondo de la página para el contraste cuando ningún ancestro declara bg-[#...]
+        background: '#0f1624',
+        // Regla → impacto ('minor' | 'moderate' | 'serious' | 'critical') u 'off'
+        rules: {}
+      },
+      
+      // Presupuestos de tamaño en KB (raw, gzip o brotli) por archivo lógico y total
+      budgets: {
+        total: { raw: 620, gzip: 500 },
+        files: {
+          // Incluye el CSS crítico inlineado de tailwind.css, effects.css y styles.css
+          'index.html': { gzip: 12 },
+          'main.js': { raw: 30, gzip: 10 },
+          'styles.css': { raw: 10, gzip: 3 },
+          'tailwind.css': { raw: 20, gzip: 5 },
+          'effects.css': { raw: 32, gzip: 7 },
+          'main.legacy.js': { raw: 30, gzip: 10 },
+          'QuadkernLogo.png': { raw: 210 }
+        }
+      },
+      
+      // Servidor local de --serve (como GitHub Pages); liveReload recarga el navegador tras cada rebuild de --watch
+      serve: {
+        port: 4000,
+        host: 'localhost',
+        liveReload: true
+      }
+    };
+
+    const unknownKeys = Object.keys(options.config || {}).filter(key => !(key in this.config));
+    unknownKeys.forEach(key => console.warn(`⚠️ Unknown config option "${key}" ignored`));
+    this.config = QuadKernConfig.merge(
+      this.config,
+      Object.fromEntries(Object.entries(options.config || {}).filter(([key]) => key in this.config))
+    );
+
+    // Fecha publicada en los artefactos: SOURCE_DATE_EPOCH o el último commit, nunca el reloj
+    this.sourceDate = QuadKernReproducible.sourceDate();
+
+    // Archivos emitidos durante el build actual (rutas relativas a docs/)
+    this.emittedFiles = new Set();
+    this.assetManifest = {};
+    this.htmlReport = {};
+    this.bundleReport = null;
+    this.cssReport = {};
+    this.criticalReport = {};
+    this.tailwindReport = null;
+    this.fontsReport = {};
+    this.imagesReport = {};
+    // QuadKernImages del último processImages(): la etapa srcset reescribe referencias sin volver a codificar
+    this.imagePipeline = null;
+    this.iconsReport = null;
+    // Front-matter de cada página emitida (sitemap, metadatos)
+    this.frontMatter = {};
+    // Datos de src/data del build o rebuild en curso (se leen y validan una vez)
+    this.contentData = null;
+    this.seoReport = null;
+    this.securityReport = null;
+    this.linksReport = null;
+    this.accessibilityReport = null;
+
+    // Archivos fuente que escribe el propio build (el watcher los ignora)
+    this.generatedSourceFiles = new Set([path.join(this.publicDir, 'styles.css')]);
+
+    this.stages = {
+      ts: () => this.compileTypeScript(),
+      tailwind: () => this.compileTailwind(),
+      css: () => this.processCSS(),
+      html: () => this.optimizeHTML(),
+      images: () => this.processImages(),
+      srcset: () => this.rewriteImageReferences(),
+      critical: () => this.inlineCriticalCSS(),
+      assets: () => this.copyAssets(),
+      fonts: () => this.buildFonts(),
+      fingerprint: () => this.fingerprintAssets(),
+      seo: () => this.generateSEO(),
+      security: () => this.applySecurity(),
+      links: () => this.validateLinks(),
+      a11y: () => this.auditAccessibility(),
+      report: () => this.generateBuildReport()
     };
+
+    // Plugins de quadkern.config.js
+    this.plugins = new QuadKernPluginHost(this);
+    this.plugins.register(options.plugins || []);
   }
 
   async build() {
-    console.log('🚀 Starting QuadKern build process...');
+    console.log(`🚀 Starting QuadKern build process (${this.mode})...`);
+    if (this.plugins.plugins.length > 0) {
+      console.log(`🔌 Plugins: ${this.plugins.plugins.map(plugin => plugin.name).join(', ')}`);
+    }
     
     try {
       // 1. Limpiar directorios de salida
       this.cleanOutputDirectories();
+      this.contentData = null;
+      await this.plugins.run('buildStart');
       
       // 2. Compilar TypeScript
-      await this.compileTypeScript();
+      await this.runStage('ts');
+      
+      // 3. Compilar utilidades de Tailwind
+      await this.runStage('tailwind');
+      
+      // 4. Procesar CSS
+      await this.runStage('css');
+      
+      // 5. Optimizar HTML
+      await this.runStage('html');
+      
+      // 6. Procesar imágenes
+      await this.runStage('images');
+      
+      // 7. srcset en <img> e image-set() en fondos CSS
+      await this.runStage('srcset');
+      
+      // 8. Inlinear CSS crítico
+      await this.runStage('critical');
+      
+      // 9. Copiar assets
+      await this.runStage('assets');
+      
+      // 10. Subsetear fuentes locales
+      await this.runStage('fonts');
+      
+      // 11. Fingerprint de assets
+      await this.runStage('fingerprint');
+      
+      // 12. sitemap.xml, robots.txt y datos estructurados
+      await this.runStage('seo');
       
-      // 3. Procesar CSS
-      await this.processCSS();
+      // 13. Content Security Policy y Subresource Integrity
+      await this.runStage('security');
       
-      // 4. Optimizar HTML
-      await this.optimizeHTML();
+      // 14. Validar enlaces y anclas
+      await this.runStage('links');
       
-      // 5. Copiar assets
-      await this.copyAssets();
+      // 15. Auditar accesibilidad
+      await this.runStage('a11y');
       
-      // 6. Generar reporte de build
-      await this.generateBuildReport();
+      // 16. Generar reporte de build
+      await this.runStage('report');
+      
+      await this.plugins.run('buildEnd');
       
       console.log('✅ Build completed successfully!');
-      console.log('📁 Output directory: docs/');
+      console.log(`📁 Output directory: ${this.outputDir}`);
       console.log('🌐 Ready for GitHub Pages deployment');
       
     } catch (error) {
       console.error('❌ Build failed:', error.message);
+      if (this.config.watchMode || !this.exitOnError) return false;
+      process.exit(1);
+    }
+
+    return true;
+  }
+
+  async watch() {
+    // Nombres estables en modo watch: el fingerprint no es incremental
+    this.config.watchMode = true;
+    this.config.fingerprint = false;
+
+    await this.build();
+
+    const watcher = new QuadKernWatcher(this);
+    watcher.start();
+    return watcher;
+  }
+
+  /**
+   * Sirve la salida como GitHub Pages; con --watch recarga el navegador al terminar cada rebuild
+   */
+  async serve() {
+    try {
+      if (!fs.existsSync(path.join(this.docsDir, 'index.html'))) {
+        throw new Error(`${this.outputDir} has no index.html, run a build first`);
+      }
+      
+      const { port, host, liveReload } = this.config.serve;
+      const server = new QuadKernServer({
+        root: this.docsDir,
+        port,
+        host,
+        liveReload: this.config.watchMode && liveReload
+      });
+      const url = await server.start();
+      
+      if (server.liveReload) {
+        // El reporte es la última etapa de todo build o rebuild
+        this.plugins.add({
+          name: 'live-reload',
+          afterStage: (stage) => {
+            if (stage === 'report') server.reload();
+          }
+        });
+      }
+      
+      console.log(`🌐 Serving ${this.outputDir} at ${url}${server.domain ? ` (CNAME: ${server.domain})` : ''}`);
+      if (server.liveReload) console.log('🔄 Live reload enabled');
+      return server;
+    } catch (error) {
+      console.error('❌ Serve failed:', error.message);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Reconstruye en un directorio temporal y comprueba que la salida actual coincida byte a byte
+   */
+  async verify() {
+    // Hermano de docs/ para que las rutas relativas (source maps) sean las mismas
+    const outDir = fs.mkdtempSync(path.join(path.dirname(path.resolve(this.docsDir)), '.quadkern-verify-'));
+    const dateSource = this.sourceDate.source || 'no date';
+    console.log(`🔁 Verifying ${this.outputDir} against a fresh build in ${path.relative('.', outDir)} (${dateSource})...`);
+    
+    try {
+      const builder = new QuadKernBuilder({ ...this.options, outDir, exitOnError: false });
+      if (!await builder.build()) {
+        throw new Error('the verification build failed');
+      }
+      
+      const { files, missing, extra, changed } = QuadKernReproducible.compare(outDir, this.docsDir);
+      missing.forEach(file => console.error(`   missing ${file}`));
+      extra.forEach(file => console.error(`   extra   ${file}`));
+      changed.forEach(file => console.error(`   changed ${file}`));
+      
+      const differences = missing.length + extra.length + changed.length;
+      if (differences > 0) {
+        throw new Error(`${this.outputDir} differs from a fresh build in ${differences} file(s)`);
+      }
+      
+      console.log(`✅ ${this.outputDir} matches a fresh build (${files} files)`);
+    } catch (error) {
+      console.error('❌ Verification failed:', error.message);
+      process.exitCode = 1;
+    } finally {
+      fs.rmSync(outDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Regenera build-report.json a partir de la salida existente, sin compilar
+   */
+  async reportOnly() {
+    console.log(`📊 Regenerating build report from ${this.outputDir}...`);
+    // Sin build no hay nada que cortar: los presupuestos excedidos solo se reportan
+    this.config.enforceBudgets = false;
+    
+    try {
+      if (!fs.existsSync(this.docsDir)) {
+        throw new Error(`${this.outputDir} does not exist, run a build first`);
+      }
+      
+      const manifestPath = path.join(this.docsDir, MANIFEST_FILE);
+      if (fs.existsSync(manifestPath)) {
+        this.assetManifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      }
+      
+      // Las secciones de cada etapa se conservan del reporte anterior
+      const previous = this.readPreviousReport(path.join(this.docsDir, 'build-report.json')) || {};
+      this.bundleReport = previous.bundle || null;
+      this.cssReport = previous.css || {};
+      this.tailwindReport = previous.tailwind || null;
+      this.htmlReport = previous.html || {};
+      this.criticalReport = previous.critical || {};
+      this.imagesReport = previous.images || {};
+      this.iconsReport = previous.icons || null;
+      this.fontsReport = previous.fonts || {};
+      this.seoReport = previous.seo || null;
+      this.securityReport = previous.security || null;
+      this.linksReport = previous.links || null;
+      this.accessibilityReport = previous.accessibility || null;
+      this.plugins.reports = previous.plugins || {};
+      
+      await this.runStage('report');
+    } catch (error) {
+      console.error('❌ Report failed:', error.message);
       process.exit(1);
     }
   }
 
+  /**
+   * Ejecuta una etapa con los hooks beforeStage/afterStage de los plugins
+   */
+  async runStage(stage) {
+    await this.plugins.run('beforeStage', stage);
+    await this.stages[stage]();
+    await this.plugins.run('afterStage', stage);
+  }
+
+  /**
+   * Re-ejecuta las etapas afectadas por un cambio y todas las que dependen de ellas
+   */
+  async rebuild(changedStages, changedFiles = []) {
+    const affected = new Set();
+    const visit = (stage) => {
+      if (affected.has(stage)) return;
+      affected.add(stage);
+      STAGE_DEPENDENTS[stage].forEach(visit);
+    };
+    changedStages.forEach(visit);
+
+    const stagesToRun = STAGE_ORDER.filter(stage => affected.has(stage));
+    const startTime = performance.now();
+    this.contentData = null;
+
+    try {
+      for (const stage of stagesToRun) {
+        await this.runStage(stage);
+      }
+
+      const elapsed = Math.round(performance.now() - startTime);
+      const files = changedFiles.map(file => path.relative('.', file)).join(', ');
+      console.log(`🔁 Rebuilt [${stagesToRun.join(' → ')}] in ${elapsed}ms (${files})`);
+    } catch (error) {
+      console.error(`❌ Rebuild failed in ${stagesToRun.join(' → ')}:`, error.message);
+    }
+  }
+
+  /**
+   * Determina qué etapas procesan un archivo fuente
+   */
+  getStagesForFile(file) {
+    const normalized = path.normalize(file);
+    const isInside = (dir) => !path.relative(dir, normalized).startsWith('..');
+
+    if (this.generatedSourceFiles.has(normalized)) return [];
+    if (this.stylesheets.some(({ entry }) => path.normalize(entry) === normalized)) return ['css'];
+
+    if (isInside(path.join(this.srcDir, 'styles')) && normalized.endsWith('.css')) return ['css'];
+    if (isInside(this.srcDir) && normalized.endsWith('.ts')) return ['ts'];
+    if (isInside(this.iconsDir) && normalized.endsWith('.svg')) return ['html'];
+    if (isInside(this.publicDir) && this.config.images.files.includes(path.relative(this.publicDir, normalized).split(path.sep).join('/'))) return ['images'];
+    if (isInside(this.publicDir)) return ['assets'];
+    if ([this.htmlSourceDir, this.partialsDir, this.layoutsDir].some(isInside) && normalized.endsWith('.html')) return ['html'];
+    // Los datos que importa el bundle (navigation.json) también lo invalidan
+    if (isInside(this.dataDir) && normalized.endsWith('.json')) {
+      const bundled = Object.keys(this.bundleReport?.modules || {}).some(module => path.normalize(module) === normalized);
+      return bundled ? ['ts', 'html'] : ['html'];
+    }
+
+    return [];
+  }
+
   cleanOutputDirectories() {
     console.log('🧹 Cleaning output directories...');
     
@@ -67,137 +552,382 @@ class QuadKernBuilder {
     const filesToClean = [
       'main.js',
       'main.js.map',
+      LEGACY_BUNDLE,
+      `${LEGACY_BUNDLE}.map`,
+      // Scripts sueltos de versiones anteriores (copias manuales y salida de tsc)
+      'simple-effects.js',
       'effects.js',
       'effects.js.map',
       'navigation.js',
       'navigation.js.map',
       'performance.js',
-      'performance.js.map'
+      'performance.js.map',
+      // SVG sueltos que ahora forman parte del sprite de src/icons
+      'javascript.svg',
+      'technologies.svg',
+      'webstorm-icon-logo.svg',
+      'webstorm-logo.svg',
+      // Hoja de la página "en construcción" que ninguna página enlaza
+      'style.css'
     ];
 
+    fs.mkdirSync(this.docsDir, { recursive: true });
+    
     filesToClean.forEach(file => {
       const filePath = path.join(this.docsDir, file);
       if (fs.existsSync(filePath)) {
         fs.unlinkSync(filePath);
       }
     });
+
+    // Limpiar assets hasheados del build anterior
+    QuadKernFingerprinter.cleanPrevious(this.docsDir);
+    this.emittedFiles.clear();
   }
 
   async compileTypeScript() {
-    console.log('📝 Compiling TypeScript...');
+    console.log('📝 Bundling TypeScript...');
     
-    const tsFiles = [
-      'main.ts',
-      'effects.ts',
-      'navigation.ts',
-      'performance.ts'
-    ];
-
-    for (const file of tsFiles) {
-      const inputPath = path.join(this.srcDir, file);
-      const outputPath = path.join(this.docsDir, file.replace('.ts', '.js'));
-      
-      if (fs.existsSync(inputPath)) {
-        try {
-          execSync(`npx tsc "${inputPath}" --outDir "${this.docsDir}" --target es2020 --skipLibCheck --moduleResolution node --esModuleInterop`, {
-            stdio: 'inherit'
-          });
-          console.log(`✅ Compiled ${file}`);
-        } catch (error) {
-          console.error(`❌ Failed to compile ${file}:`, error.message);
-          throw error;
+    const entryPoint = path.join(this.srcDir, 'main.ts');
+    
+    try {
+      // Módulo para navegadores actuales y script clásico (nomodule) generado desde las mismas fuentes
+      const modern = await this.bundleScript(entryPoint, 'main.js', { format: 'esm', target: 'es2020' });
+      const legacy = await this.bundleScript(entryPoint, LEGACY_BUNDLE, { format: 'iife', target: 'es2015' });
+      
+      this.bundleReport = {
+        entry: path.relative('.', entryPoint).split(path.sep).join('/'),
+        output: 'main.js',
+        bytes: modern.bytes,
+        minified: this.config.minify,
+        sourceMap: this.config.generateSourceMaps,
+        modules: modern.modules,
+        defines: this.config.defines,
+        legacy: {
+          output: LEGACY_BUNDLE,
+          format: 'iife',
+          target: 'es2015',
+          bytes: legacy.bytes
         }
-      }
+      };
+      
+      console.log(`✅ Bundled ${Object.keys(modern.modules).length} modules into main.js (${modern.bytes} bytes) and ${LEGACY_BUNDLE} (${legacy.bytes} bytes)`);
+    } catch (error) {
+      const messages = (error.errors || []).map(e => e.location ? `${e.location.file}:${e.location.line} ${e.text}` : e.text);
+      console.error('❌ Failed to bundle main.ts:', messages.join('\n') || error.message);
+      throw error;
     }
   }
 
+  /**
+   * Empaqueta una entrada con esbuild; devuelve el tamaño emitido y el desglose por módulo
+   */
+  async bundleScript(entryPoint, output, { format, target }) {
+    const outfile = path.join(this.docsDir, output);
+    const { defines } = this.config;
+    // Con algún define en false el código muerto se elimina aunque no se minifique (--no-minify)
+    const stripDebug = !defines.__DEV__ || !defines.__QK_DEBUG__;
+    const result = await esbuild.build({
+      entryPoints: [entryPoint],
+      outfile,
+      bundle: true,
+      format,
+      target,
+      treeShaking: true,
+      define: Object.fromEntries(
+        Object.entries(defines).map(([name, value]) => [name, JSON.stringify(value)])
+      ),
+      // Los logs verbosos quedan como llamadas sin efecto que minifySyntax descarta
+      pure: defines.__DEV__ ? [] : VERBOSE_CONSOLE,
+      minify: this.config.minify,
+      minifySyntax: this.config.minify || stripDebug,
+      sourcemap: this.config.generateSourceMaps,
+      metafile: true,
+      logLevel: 'silent'
+    });
+    
+    result.warnings.forEach(warning => console.warn(`⚠️ ${output}: ${warning.text}`));
+    
+    const code = fs.readFileSync(outfile, 'utf8');
+    const leaked = Object.entries(DEBUG_MARKERS)
+      .filter(([name]) => !defines[name])
+      .flatMap(([name, markers]) => markers.filter(marker => code.includes(marker)).map(marker => `${marker} (${name} is false)`));
+    if (leaked.length > 0) {
+      throw new Error(`${output} still contains debug code: ${leaked.join(', ')}`);
+    }
+    
+    this.emittedFiles.add(output);
+    if (this.config.generateSourceMaps) {
+      this.emittedFiles.add(`${output}.map`);
+    }
+    
+    // Desglose de tamaño por módulo dentro del bundle
+    const metadata = result.metafile.outputs[path.relative('.', outfile).split(path.sep).join('/')];
+    const modules = Object.fromEntries(
+      Object.entries(metadata.inputs)
+        .sort(([, a], [, b]) => b.bytesInOutput - a.bytesInOutput)
+        .map(([file, info]) => [file, {
+          bytes: info.bytesInOutput,
+          kb: Math.round(info.bytesInOutput / 1024 * 100) / 100
+        }])
+    );
+    
+    return { bytes: metadata.bytes, modules };
+  }
+
+  async compileTailwind() {
+    console.log('🌬️ Compiling Tailwind utilities...');
+    
+    const { html, scripts } = this.collectContentSources();
+    const compiler = new QuadKernTailwind({ minify: this.config.minify });
+    const { css, report } = await compiler.compile([
+      ...html.map(raw => ({ raw, extension: 'html' })),
+      ...scripts.map(raw => ({ raw, extension: 'js' }))
+    ]);
+    
+    report.warnings.forEach(warning => console.warn(`⚠️ tailwind.css: ${warning}`));
+    this.tailwindReport = report;
+    
+    fs.writeFileSync(path.join(this.docsDir, 'tailwind.css'), css);
+    this.emittedFiles.add('tailwind.css');
+    
+    console.log(`✅ Generated tailwind.css (${report.utilities} utility rules, ${report.bytes} bytes)`);
+  }
+
   async processCSS() {
     console.log('🎨 Processing CSS...');
     
-    // Leer archivos CSS modulares
-    const cssFiles = [
-      'base.css',
-      'components.css',
-      'layout.css',
-      'responsive.css'
-    ];
+    const processor = new QuadKernCSSProcessor({
+      minify: this.config.minify,
+      purge: this.config.optimize
+    });
+    processor.addContent(this.collectContentSources());
+    
+    for (const { entry, output, banner } of this.stylesheets) {
+      if (!fs.existsSync(entry)) continue;
+      
+      const { css, report } = processor.process(entry, {
+        banner: banner ? `QuadKern Styles${this.sourceDate.date ? ` - Generated on ${this.sourceDate.date.toISOString()}` : ''}` : null
+      });
+      
+      report.warnings.forEach(warning => console.warn(`⚠️ ${output}: ${warning}`));
+      this.cssReport[output] = report;
+      
+      fs.writeFileSync(path.join(this.docsDir, output), css);
+      this.emittedFiles.add(output);
+      
+      const purged = Object.values(report.sources).reduce((total, source) => total + source.purgedSelectors, 0);
+      console.log(`✅ Processed ${output} (${report.bytesBefore} → ${report.bytesAfter} bytes, ${purged} unused selectors removed)`);
+    }
 
-    let combinedCSS = '';
+    // También copiar a public
+    fs.copyFileSync(path.join(this.docsDir, 'styles.css'), path.join(this.publicDir, 'styles.css'));
     
-    // Agregar comentario de header
-    combinedCSS += `/* QuadKern Styles - Generated on ${new Date().toISOString()} */\n\n`;
+    console.log('✅ CSS processing completed');
+  }
+
+  /**
+   * Renderiza las páginas de src/pages con su layout, partials y los datos
+   * validados de src/data (página → resultado)
+   */
+  renderPages() {
+    const data = this.loadContentData();
     
-    for (const file of cssFiles) {
-      const filePath = path.join(this.srcDir, 'styles', file);
-      if (fs.existsSync(filePath)) {
-        const content = fs.readFileSync(filePath, 'utf8');
-        combinedCSS += `/* === ${file.toUpperCase()} === */\n`;
-        combinedCSS += content;
-        combinedCSS += `\n\n`;
-        console.log(`✅ Processed ${file}`);
-      }
+    // El header muestra como botón la sección con `cta` y como enlaces el resto de navigation.json
+    const navigation = data.navigation || [];
+    const ctas = navigation.filter(section => section.cta);
+    if (ctas.length > 1) {
+      throw new Error(`navigation.json: only one section can have "cta" (found ${ctas.map(section => section.id).join(', ')})`);
     }
+    
+    const pages = new QuadKernPages({
+      pagesDir: this.htmlSourceDir,
+      partialsDir: this.partialsDir,
+      layoutsDir: this.layoutsDir,
+      data: {
+        ...data,
+        header: {
+          links: navigation.filter(section => !section.cta),
+          cta: ctas[0] || null
+        }
+      }
+    });
+    
+    return new Map(pages.list().map(file => [file, pages.render(file)]));
+  }
 
-    // Escribir CSS combinado
-    const outputPath = path.join(this.docsDir, 'styles.css');
-    fs.writeFileSync(outputPath, combinedCSS);
+  /**
+   * Datos de src/data validados contra sus esquemas (una lectura por build o rebuild)
+   */
+  loadContentData() {
+    this.contentData ??= new QuadKernData({
+      dataDir: this.dataDir,
+      schemasDir: path.join(this.dataDir, 'schemas')
+    }).load();
+    return this.contentData;
+  }
+
+  /**
+   * Contenido contra el que se purgan los selectores: páginas renderizadas y strings de JS/TS
+   */
+  collectContentSources() {
+    const html = [...this.renderPages().values()].map(page => page.html);
     
-    // También copiar a public
-    fs.copyFileSync(outputPath, path.join(this.publicDir, 'styles.css'));
+    const scripts = [
+      ...this.getFileList(this.srcDir, '.ts').map(file => path.join(this.srcDir, file)),
+      ...this.getFileList(this.publicDir, '.js').map(file => path.join(this.publicDir, file))
+    ].map(file => fs.readFileSync(file, 'utf8'));
     
-    console.log('✅ CSS processing completed');
+    return { html, scripts };
   }
 
   async optimizeHTML() {
     console.log('📄 Optimizing HTML...');
     
-    const htmlFiles = ['index.html'];
+    const pages = this.renderPages();
+    
+    const optimizer = new QuadKernHTMLOptimizer({ minify: this.config.minify });
+    
+    // Sprite de íconos: cada página incluye solo los <symbol> que referencia
+    const icons = new QuadKernIcons({ iconsDir: this.iconsDir });
+    const missingIcons = [];
+    this.iconsReport = { available: icons.load().size, pages: {}, unused: [] };
+    
+    for (const [file, page] of pages) {
+      const sprite = icons.inject(page.html);
+      sprite.missing.forEach(name => missingIcons.push(`${file}: #icon-${name}`));
+      this.iconsReport.pages[file] = sprite.used;
+      
+      const { html, report } = optimizer.optimize(sprite.html);
+      
+      page.warnings.forEach(warning => console.warn(`⚠️ ${file}: ${warning}`));
+      this.htmlReport[file] = { title: page.data.title || null, ...report };
+      this.frontMatter[file] = page.data;
+      
+      fs.writeFileSync(path.join(this.docsDir, file), html);
+      this.emittedFiles.add(file);
+      console.log(`✅ Optimized ${file} (${report.bytesBefore} → ${report.bytesAfter} bytes, ${report.commentsRemoved} comments removed)`);
+    }
+    
+    if (pages.size === 0) {
+      console.warn(`⚠️ No pages found in ${this.htmlSourceDir}`);
+    }
+    
+    const used = new Set(Object.values(this.iconsReport.pages).flat());
+    this.iconsReport.unused = [...icons.load().keys()].filter(name => !used.has(name));
+    console.log(`✅ Icon sprite: ${used.size} of ${this.iconsReport.available} icons from ${this.iconsDir} used`);
+    
+    if (missingIcons.length > 0) {
+      missingIcons.forEach(reference => console.error(`   unknown icon ${reference}`));
+      throw new Error(`${missingIcons.length} icon reference(s) without a matching SVG in ${this.iconsDir}`);
+    }
+  }
+
+  async processImages() {
+    const { files, widths, formats, sizes } = this.config.images;
+    if (files.length === 0) return;
+    
+    console.log('🖼️ Processing images...');
+    
+    const images = new QuadKernImages({ widths, formats, sizes });
+    this.imagePipeline = images;
+    this.imagesReport = { files: {}, html: {}, css: {} };
+    
+    for (const file of files) {
+      if (!fs.existsSync(path.join(this.publicDir, file))) continue;
+      
+      const result = QuadKernImages.isSVG(file)
+        ? images.processSVG(this.publicDir, this.docsDir, file)
+        : await images.processRaster(this.publicDir, this.docsDir, file);
+      
+      this.imagesReport.files[file] = result;
+      this.emittedFiles.add(file);
+      result.variants.forEach(({ file: variant }) => this.emittedFiles.add(variant));
+      
+      const variants = result.variants.length > 0 ? `, ${result.variants.length} variants` : '';
+      console.log(`✅ Optimized ${file} (${result.bytesBefore} → ${result.bytesAfter} bytes${variants})`);
+    }
+  }
+
+  /**
+   * Referencias a las imágenes procesadas: <img> en HTML y fondos en las hojas de estilo emitidas
+   */
+  async rewriteImageReferences() {
+    const images = this.imagePipeline;
+    if (!images) return;
+    
+    this.imagesReport.html = {};
+    this.imagesReport.css = {};
+    const emitted = [...this.emittedFiles];
+    
+    for (const file of emitted.filter(name => name.endsWith('.html'))) {
+      const filePath = path.join(this.docsDir, file);
+      const { html, rewritten } = images.rewriteHTML(fs.readFileSync(filePath, 'utf8'));
+      fs.writeFileSync(filePath, html);
+      this.imagesReport.html[file] = rewritten;
+      if (rewritten.length > 0) {
+        console.log(`✅ Added srcset and intrinsic size to ${rewritten.length} <img> in ${file}`);
+      }
+    }
+    
+    for (const file of emitted.filter(name => name.endsWith('.css'))) {
+      const filePath = path.join(this.docsDir, file);
+      const { css, rewritten } = images.rewriteCSS(fs.readFileSync(filePath, 'utf8'), file);
+      if (rewritten.length === 0) continue;
+      
+      fs.writeFileSync(filePath, css);
+      this.imagesReport.css[file] = rewritten;
+      console.log(`✅ Added image-set() to ${rewritten.length} backgrounds in ${file}`);
+    }
+  }
+
+  async inlineCriticalCSS() {
+    const { enabled, stylesheets, roots } = this.config.critical;
+    if (!enabled) return;
+    
+    console.log('⚡ Inlining critical CSS...');
+    
+    const extractor = new QuadKernCriticalCSS({ roots, minify: this.config.minify });
+    const htmlFiles = [...this.emittedFiles].filter(file => file.endsWith('.html'));
     
     for (const file of htmlFiles) {
-      const inputPath = path.join(this.docsDir, file);
-      if (fs.existsSync(inputPath)) {
-        let content = fs.readFileSync(inputPath, 'utf8');
-        
-        // Optimizaciones básicas
-        content = content
-          .replace(/\s+/g, ' ') // Minimizar espacios
-          .replace(/<!--[\s\S]*?-->/g, '') // Remover comentarios
-          .replace(/>\s+</g, '><'); // Remover espacios entre tags
+      const filePath = path.join(this.docsDir, file);
+      let html = fs.readFileSync(filePath, 'utf8');
+      this.criticalReport[file] = { roots, stylesheets: {} };
+      
+      for (const stylesheet of stylesheets) {
+        const stylesheetPath = path.join(this.docsDir, stylesheet);
+        if (!fs.existsSync(stylesheetPath)) continue;
         
-        // Actualizar referencias de CSS
-        content = content.replace(
-          /<link rel="stylesheet" href="\.\/effects\.css">/g,
-          '<link rel="stylesheet" href="./styles.css">'
-        );
+        const critical = extractor.extract(html, fs.readFileSync(stylesheetPath, 'utf8'));
+        const result = extractor.inline(html, critical.css, stylesheet);
         
-        // Actualizar referencias de JS
-        content = content.replace(
-          /<script src="\.\/simple-effects\.js"><\/script>/g,
-          '<script type="module" src="./main.js"></script>'
-        );
+        this.criticalReport[file].stylesheets[stylesheet] = {
+          inlined: result.inlined,
+          rules: critical.selectors,
+          bytes: Buffer.byteLength(critical.css)
+        };
         
-        content = content.replace(
-          /<script src="\.\/navigation\.js"><\/script>/g,
-          ''
-        );
+        if (!result.inlined) {
+          console.warn(`⚠️ ${file}: no <link> to ${stylesheet} found, critical CSS not inlined`);
+          continue;
+        }
         
-        fs.writeFileSync(inputPath, content);
-        console.log(`✅ Optimized ${file}`);
+        html = result.html;
+        console.log(`✅ Inlined ${critical.selectors} critical rules from ${stylesheet} (${Buffer.byteLength(critical.css)} bytes) into ${file}`);
       }
+      
+      fs.writeFileSync(filePath, html);
     }
   }
 
   async copyAssets() {
     console.log('📦 Copying assets...');
     
+    // Las imágenes las emite processImages()
     const assetsToCopy = [
-      'QuadkernLogo.png',
       'fonts/',
-      'background.svg',
-      'javascript.svg',
-      'technologies.svg',
-      'webstorm-icon-logo.svg',
-      'webstorm-logo.svg'
+      'CNAME'
     ];
 
     for (const asset of assetsToCopy) {
@@ -209,12 +939,46 @@ class QuadKernBuilder {
           this.copyDirectory(srcPath, destPath);
         } else {
           fs.copyFileSync(srcPath, destPath);
+          this.emittedFiles.add(asset);
         }
         console.log(`✅ Copied ${asset}`);
       }
     }
   }
 
+  async buildFonts() {
+    const { subset, files } = this.config.fonts;
+    if (files.length === 0) return;
+    
+    console.log('🔤 Building web fonts...');
+    
+    const fonts = new QuadKernFonts({ fonts: files, subset });
+    const htmlFiles = [...this.emittedFiles].filter(file => file.endsWith('.html'));
+    
+    // Los textos que inserta el JS también deben tener glifos
+    const { scripts } = this.collectContentSources();
+    const pages = htmlFiles.map(file => fs.readFileSync(path.join(this.docsDir, file), 'utf8'));
+    const codePoints = [...new Set(pages.flatMap(html => fonts.collectText(html, scripts.join(''))))].sort((a, b) => a - b);
+    
+    // Siempre desde public/: docs/ puede contener el subset de un build anterior
+    const output = await fonts.build(this.publicDir, this.docsDir, codePoints);
+    files.forEach(({ file }) => this.emittedFiles.add(file));
+    
+    this.fontsReport = { requestedCodePoints: codePoints.length, files: output, removedLinks: {} };
+    
+    for (const [index, file] of htmlFiles.entries()) {
+      const { html, removed } = fonts.inject(pages[index]);
+      fs.writeFileSync(path.join(this.docsDir, file), html);
+      
+      this.fontsReport.removedLinks[file] = removed;
+      removed.forEach(href => console.log(`✅ Removed external font link ${href} from ${file}`));
+    }
+    
+    Object.entries(output).forEach(([file, { bytesBefore, bytesAfter, codePoints: covered }]) => {
+      console.log(`✅ ${subset ? 'Subset' : 'Copied'} ${file} (${bytesBefore} → ${bytesAfter} bytes, ${covered} characters)`);
+    });
+  }
+
   copyDirectory(src, dest) {
     if (!fs.existsSync(dest)) {
       fs.mkdirSync(dest, { recursive: true });
@@ -230,15 +994,223 @@ class QuadKernBuilder {
         this.copyDirectory(srcPath, destPath);
       } else {
         fs.copyFileSync(srcPath, destPath);
+        this.emittedFiles.add(path.relative(this.docsDir, destPath));
       }
     }
   }
 
+  async fingerprintAssets() {
+    if (!this.config.fingerprint) return;
+
+    console.log('🔑 Fingerprinting assets...');
+    
+    const emitted = [...this.emittedFiles];
+    const htmlFiles = emitted.filter(file => file.endsWith('.html'));
+    const fingerprinter = new QuadKernFingerprinter(this.docsDir);
+    
+    this.assetManifest = fingerprinter.run(emitted, htmlFiles);
+    
+    // Reflejar los nombres finales en el set de archivos emitidos
+    Object.entries(this.assetManifest).forEach(([original, hashed]) => {
+      this.emittedFiles.delete(original);
+      this.emittedFiles.add(hashed);
+    });
+    
+    console.log(`✅ Fingerprinted ${Object.keys(this.assetManifest).length} assets (asset-manifest.json)`);
+  }
+
+  async generateSEO() {
+    const { enabled, disallow, structuredDataPage, social } = this.config.seo;
+    if (!enabled) return;
+    
+    console.log('🔎 Generating SEO metadata...');
+    
+    const url = this.getSiteURL();
+    const content = this.loadContentData();
+    const seo = new QuadKernSEO({ url, assetManifest: this.assetManifest });
+    const pages = Object.keys(this.frontMatter).sort().map(file => ({ file, data: this.frontMatter[file] }));
+    this.seoReport = { url, pages: {}, socialImage: null, sitemap: [], robots: null, structuredData: null };
+    
+    // 1. Imagen para compartir derivada del logo
+    const defaults = {
+      siteName: content.organization?.name,
+      locale: social.locale,
+      twitterSite: social.twitterSite,
+      imageAlt: social.imageAlt
+    };
+    const logoPath = social.image && path.join(this.publicDir, social.image);
+    if (logoPath && fs.existsSync(logoPath)) {
+      const image = await seo.socialImage(logoPath, path.join(this.docsDir, SOCIAL_IMAGE), { background: social.background });
+      this.emittedFiles.add(SOCIAL_IMAGE);
+      Object.assign(defaults, { image: SOCIAL_IMAGE, imageWidth: image.width, imageHeight: image.height });
+      this.seoReport.socialImage = { file: SOCIAL_IMAGE, source: social.image, ...image };
+      console.log(`✅ Generated ${SOCIAL_IMAGE} from ${social.image} (${image.bytes} bytes)`);
+    } else if (social.image) {
+      console.warn(`⚠️ seo.social.image ${social.image} not found in ${this.publicDir}`);
+    }
+    
+    // 2. description, canonical, Open Graph y Twitter card de cada página
+    for (const { file, data } of pages) {
+      const pagePath = path.join(this.docsDir, file);
+      const { tags, warnings } = seo.socialMeta(file, data, defaults);
+      
+      fs.writeFileSync(pagePath, seo.injectMeta(fs.readFileSync(pagePath, 'utf8'), tags));
+      this.seoReport.pages[file] = { tags: tags.length, warnings };
+      warnings.forEach(warning => console.warn(`⚠️ ${file}: ${warning}`));
+    }
+    console.log(`✅ Added social metadata to ${pages.length} page(s)`);
+    
+    if (!url) {
+      console.warn(`⚠️ No seo.url and no ${path.join(this.publicDir, 'CNAME')}: skipping sitemap.xml, robots.txt and structured data`);
+      return;
+    }
+    
+    // 3. sitemap.xml y robots.txt
+    fs.writeFileSync(path.join(this.docsDir, 'sitemap.xml'), seo.sitemap(pages));
+    fs.writeFileSync(path.join(this.docsDir, 'robots.txt'), seo.robots(disallow));
+    this.emittedFiles.add('sitemap.xml');
+    this.emittedFiles.add('robots.txt');
+    
+    this.seoReport.sitemap = pages.filter(({ data }) => data.sitemap !== 'false').map(({ file }) => seo.pageURL(file));
+    this.seoReport.robots = { disallow };
+    console.log(`✅ Generated sitemap.xml (${this.seoReport.sitemap.length} URLs) and robots.txt for ${url}`);
+    
+    // 4. JSON-LD de la organización
+    const pagePath = path.join(this.docsDir, structuredDataPage || '');
+    if (!structuredDataPage || !fs.existsSync(pagePath)) return;
+    
+    const structuredData = seo.structuredData(content);
+    fs.writeFileSync(pagePath, seo.injectStructuredData(fs.readFileSync(pagePath, 'utf8'), structuredData));
+    
+    const types = structuredData['@graph'].map(node => node['@type']);
+    this.seoReport.structuredData = { page: structuredDataPage, types, members: structuredData['@graph'][0].member.length };
+    console.log(`✅ Injected structured data into ${structuredDataPage} (${types.join(', ')})`);
+  }
+
+  async applySecurity() {
+    const { csp, sri } = this.config;
+    if (!csp.enabled && !sri.enabled) return;
+    
+    console.log('🛡️ Applying Content Security Policy and Subresource Integrity...');
+    
+    const security = new QuadKernSecurity({
+      outputDir: this.docsDir,
+      algorithm: sri.algorithm,
+      sri: sri.enabled,
+      csp: csp.enabled,
+      allowInlineHandlers: csp.allowInlineHandlers,
+      directives: csp.directives
+    });
+    const pages = [...this.emittedFiles].filter(file => file.endsWith('.html')).sort();
+    this.securityReport = { pages: {}, errors: [] };
+    
+    for (const file of pages) {
+      const { html, report } = security.apply(file);
+      fs.writeFileSync(path.join(this.docsDir, file), html);
+      this.securityReport.pages[file] = report;
+      
+      report.external.forEach(({ element, url }) => {
+        console.warn(`⚠️ ${file}: ${element} loads ${url} without an integrity attribute`);
+      });
+      report.inlineHandlers.forEach(({ element, attribute, allowed }) => {
+        const message = `${file}: inline ${attribute} handler on ${element}`;
+        if (allowed) {
+          console.warn(`⚠️ ${message} is only allowed by its hash ('unsafe-hashes')`);
+        } else {
+          console.error(`🚨 ${message} violates the Content Security Policy`);
+          this.securityReport.errors.push(message);
+        }
+      });
+      
+      const directives = report.policy ? report.policy.split('; ').length : 0;
+      console.log(`✅ Secured ${file} (${report.integrity.length} integrity hash(es), ${directives} CSP directives)`);
+    }
+  }
+
+  /**
+   * URL pública del sitio: config.seo.url o el dominio de public/CNAME (GitHub Pages)
+   */
+  getSiteURL() {
+    if (this.config.seo.url) return this.config.seo.url.replace(/\/+$/, '');
+    
+    const cnamePath = path.join(this.publicDir, 'CNAME');
+    if (!fs.existsSync(cnamePath)) return null;
+    
+    const domain = fs.readFileSync(cnamePath, 'utf8').trim().split(/\s+/)[0];
+    return domain ? `https://${domain}` : null;
+  }
+
+  async validateLinks() {
+    if (!this.config.links.enabled) return;
+    
+    console.log('🔗 Validating links and anchors...');
+    
+    const { sectionsPage, severity } = this.config.links;
+    const { navigation = [] } = this.loadContentData();
+    
+    const validator = new QuadKernLinkValidator({
+      outputDir: this.docsDir,
+      sections: navigation.map(section => section.id),
+      sectionsPage,
+      severity
+    });
+    const htmlFiles = [...this.emittedFiles].filter(file => file.endsWith('.html')).sort();
+    this.linksReport = validator.validate(htmlFiles);
+    
+    const { pages, errors, warnings } = this.linksReport;
+    warnings.forEach(({ page, target, element, message }) => console.warn(`⚠️ ${page}: ${message} ${target} (${element})`));
+    errors.forEach(({ page, target, element, message }) => console.error(`🚨 ${page}: ${message} ${target} (${element})`));
+    
+    const links = Object.values(pages).reduce((sum, page) => sum + page.links, 0);
+    console.log(`✅ Checked ${links} links in ${htmlFiles.length} pages (${errors.length} errors, ${warnings.length} warnings)`);
+  }
+
+  async auditAccessibility() {
+    const { enabled, failOn, background, rules } = this.config.accessibility;
+    if (!enabled) return;
+    
+    if (!IMPACTS.includes(failOn) && failOn !== 'off') {
+      throw new Error(`accessibility.failOn must be one of ${IMPACTS.join(', ')} or off`);
+    }
+    
+    console.log('♿ Auditing accessibility...');
+    
+    const auditor = new QuadKernAccessibility({ rules, background });
+    const htmlFiles = [...this.emittedFiles].filter(file => file.endsWith('.html')).sort();
+    const threshold = IMPACTS.indexOf(failOn);
+    
+    this.accessibilityReport = { failOn, pages: {}, failures: 0 };
+    
+    for (const file of htmlFiles) {
+      const issues = auditor.audit(fs.readFileSync(path.join(this.docsDir, file), 'utf8'))
+        .sort((a, b) => IMPACTS.indexOf(b.impact) - IMPACTS.indexOf(a.impact));
+      const failures = threshold === -1 ? 0 : issues.filter(issue => IMPACTS.indexOf(issue.impact) >= threshold).length;
+      
+      this.accessibilityReport.pages[file] = { issues };
+      this.accessibilityReport.failures += failures;
+      
+      issues.forEach(({ rule, impact, selector, message }) => {
+        const log = IMPACTS.indexOf(impact) >= threshold && threshold !== -1 ? console.error : console.warn;
+        log(`${log === console.error ? '🚨' : '⚠️'} ${file} [${impact}] ${rule}: ${message} (${selector})`);
+      });
+      console.log(`✅ Audited ${file}: ${issues.length} issue(s), ${failures} at or above ${failOn}`);
+    }
+  }
+
   async generateBuildReport() {
     console.log('📊 Generating build report...');
     
+    const reportPath = path.join(this.docsDir, 'build-report.json');
+    const previousReport = this.readPreviousReport(reportPath);
+    
+    const budget = new QuadKernSizeBudget(this.config.budgets);
+    const sizes = budget.measure(this.docsDir, this.assetManifest, ['build-report.json', MANIFEST_FILE]);
+    const total = budget.total(sizes);
+    const violations = budget.check(sizes, total);
+    
     const report = {
-      timestamp: new Date().toISOString(),
+      // Fecha de las fuentes (SOURCE_DATE_EPOCH o último commit): dos builds del mismo commit son idénticos
+      timestamp: this.sourceDate.date?.toISOString() || null,
       buildVersion: '2.0.0',
       files: {
         html: this.getFileList(this.docsDir, '.html'),
@@ -246,19 +1218,119 @@ class QuadKernBuilder {
         js: this.getFileList(this.docsDir, '.js'),
         assets: this.getAssetList(this.docsDir)
       },
-      sizes: this.calculateFileSizes(this.docsDir),
+      sizes,
+      total,
+      diff: previousReport ? {
+        previousTimestamp: previousReport.timestamp,
+        total: previousReport.total ? {
+          bytes: total.bytes - previousReport.total.bytes,
+          gzip: total.gzip - previousReport.total.gzip
+        } : null,
+        files: budget.diff(previousReport.sizes, sizes)
+      } : null,
+      budgets: {
+        limits: this.config.budgets,
+        violations
+      },
+      assetManifest: this.assetManifest,
+      bundle: this.bundleReport,
+      css: this.cssReport,
+      tailwind: this.tailwindReport,
+      html: this.htmlReport,
+      critical: this.criticalReport,
+      plugins: this.plugins.reports,
+      images: this.imagesReport,
+      icons: this.iconsReport,
+      fonts: this.fontsReport,
+      seo: this.seoReport,
+      security: this.securityReport,
+      links: this.linksReport,
+      accessibility: this.accessibilityReport,
       optimizations: {
-        cssModularization: true,
-        typescriptCompilation: true,
-        htmlMinification: true,
-        assetOptimization: true
+        cssModularization: Object.keys(this.cssReport['styles.css']?.sources || {}).length > 1,
+        cssMinification: this.config.minify && Object.keys(this.cssReport).length > 0,
+        cssPurge: this.config.optimize,
+        tailwindPrecompiled: Boolean(this.tailwindReport),
+        typescriptCompilation: Boolean(this.bundleReport),
+        treeShaking: Boolean(this.bundleReport),
+        htmlMinification: this.config.minify && Object.keys(this.htmlReport).length > 0,
+        criticalCSS: Object.values(this.criticalReport).some(entry =>
+          Object.values(entry.stylesheets).some(stylesheet => stylesheet.inlined)
+        ),
+        responsiveImages: Object.values(this.imagesReport.files || {}).some(file => file.variants.length > 0),
+        iconSprite: Object.values(this.iconsReport?.pages || {}).some(used => used.length > 0),
+        fontSubsetting: this.config.fonts.subset && Object.keys(this.fontsReport.files || {}).length > 0,
+        sitemap: Boolean(this.seoReport),
+        structuredData: Boolean(this.seoReport?.structuredData),
+        socialMetadata: Object.keys(this.seoReport?.pages || {}).length > 0,
+        contentSecurityPolicy: Object.values(this.securityReport?.pages || {}).some(page => page.policy),
+        subresourceIntegrity: Object.values(this.securityReport?.pages || {}).some(page => page.integrity.length > 0),
+        linkValidation: Boolean(this.linksReport),
+        accessibilityAudit: Boolean(this.accessibilityReport),
+        assetOptimization: Object.keys(this.assetManifest).length > 0,
+        sourceMaps: this.config.generateSourceMaps
       }
     };
 
-    const reportPath = path.join(this.docsDir, 'build-report.json');
     fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
     
+    this.printSizeSummary(report);
     console.log('✅ Build report generated');
+    
+    // Se corta después de escribir el reporte para que los problemas queden registrados
+    const failures = [];
+    
+    if (violations.length > 0) {
+      // 🚨 solo cuando el presupuesto corta el build; si solo se reporta, es un aviso
+      const [log, icon] = this.config.enforceBudgets ? [console.error, '🚨'] : [console.warn, '⚠️'];
+      violations.forEach(({ file, metric, actualKb, budgetKb }) => {
+        log(`${icon} Budget exceeded: ${file} ${metric} ${actualKb} KB > ${budgetKb} KB`);
+      });
+      if (this.config.enforceBudgets) {
+        failures.push(`${violations.length} size budget(s) exceeded`);
+      }
+    }
+    
+    if (this.securityReport && this.securityReport.errors.length > 0) {
+      failures.push(`${this.securityReport.errors.length} inline handler(s) blocked by the Content Security Policy, see build-report.json → security`);
+    }
+    
+    if (this.linksReport && this.linksReport.errors.length > 0) {
+      failures.push(`${this.linksReport.errors.length} broken link(s) or anchor(s), see build-report.json → links`);
+    }
+    
+    if (this.accessibilityReport && this.accessibilityReport.failures > 0) {
+      failures.push(`${this.accessibilityReport.failures} accessibility issue(s) at or above ${this.accessibilityReport.failOn}, see build-report.json → accessibility`);
+    }
+    
+    if (failures.length > 0) {
+      throw new Error(failures.join('; '));
+    }
+  }
+
+  readPreviousReport(reportPath) {
+    if (!fs.existsSync(reportPath)) return null;
+    
+    try {
+      return JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+    } catch (error) {
+      console.warn('⚠️ Could not read previous build-report.json:', error.message);
+      return null;
+    }
+  }
+
+  printSizeSummary(report) {
+    const { total, diff } = report;
+    const sign = (value) => (value > 0 ? `+${value}` : `${value}`);
+    
+    console.log(`📦 Total: ${total.kb} KB (gzip ${total.gzip} B, brotli ${total.brotli} B)`);
+    
+    if (!diff) return;
+    
+    Object.entries(diff.files).forEach(([file, change]) => {
+      const percent = change.percent !== undefined && change.percent !== null ? ` (${sign(change.percent)}%)` : '';
+      console.log(`   ${change.status.padEnd(7)} ${file}: ${sign(change.bytes)} B${percent}`);
+    });
   }
 
   getFileList(dir, extension) {
@@ -274,7 +1346,7 @@ class QuadKernBuilder {
       }
     }
     
-    return files;
+    return files.sort();
   }
 
   getAssetList(dir) {
@@ -285,38 +1357,42 @@ class QuadKernBuilder {
       const fullPath = path.join(dir, entry);
       const stat = fs.statSync(fullPath);
       
+      // El reporte no se lista a sí mismo: existiría o no según haya un build anterior
+      if (entry === 'build-report.json') continue;
+      
       if (stat.isFile() && !entry.endsWith('.html') && !entry.endsWith('.css') && !entry.endsWith('.js')) {
         assets.push(entry);
       }
     }
     
-    return assets;
+    return assets.sort();
   }
 
-  calculateFileSizes(dir) {
-    const sizes = {};
-    const entries = fs.readdirSync(dir);
-    
-    for (const entry of entries) {
-      const fullPath = path.join(dir, entry);
-      const stat = fs.statSync(fullPath);
-      
-      if (stat.isFile()) {
-        sizes[entry] = {
-          bytes: stat.size,
-          kb: Math.round(stat.size / 1024 * 100) / 100
-        };
-      }
-    }
-    
-    return sizes;
-  }
 }
 
 // Ejecutar build si se llama directamente
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const builder = new QuadKernBuilder();
-  builder.build().catch(console.error);
+  QuadKernConfig.resolve(process.argv.slice(2))
+    .then(async ({ command, serve, options }) => {
+      if (command === 'help') {
+        console.log(QuadKernConfig.help());
+        return;
+      }
+      
+      const builder = new QuadKernBuilder(options);
+      
+      if (command === 'report') return builder.reportOnly();
+      if (command === 'verify') return builder.verify();
+      if (command === 'watch') {
+        const watcher = await builder.watch();
+        return serve ? builder.serve() : watcher;
+      }
+      return serve ? builder.serve() : builder.build();
+    })
+    .catch(error => {
+      console.error('❌', error.message);
+      process.exit(1);
+    });
 }
 
 export default QuadKernBuilder;
@@ -5,6 +5,7 @@
  * Automatiza el proceso de deploy a GitHub Pages
  */
 
+import fs from 'fs';
 import { execSync } from 'child_process';
 
 class QuadKernDeployer {
@@ -93,9 +94,17 @@ class QuadKernDeployer {
     console.log(`3. Add timestamp: ${refreshUrl}`);
     console.log('4. Clear browser cache');
     
+    // Con assets fingerprinteados solo el HTML puede quedar cacheado
+    const manifestPath = './docs/asset-manifest.json';
+    if (fs.existsSync(manifestPath)) {
+      const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      console.log(`✅ ${Object.keys(manifest).length} assets are content-hashed (asset-manifest.json); only index.html may be stale`);
+      return;
+    }
+    
     // Generar un archivo de cache-busting
     const cacheBustingContent = `/* Cache busting: ${timestamp} */`;
-    require('fs').writeFileSync('./docs/cache-bust.css', cacheBustingContent);
+    fs.writeFileSync('./docs/cache-bust.css', cacheBustingContent);
     
     console.log('✅ Cache-busting file generated');
   }
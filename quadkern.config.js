@@ -0,0 +1,22 @@
+/**
+ * QuadKern Build Config
+ * Opciones del builder y pasos propios del proyecto como plugins (ver tools/plugins.js).
+ * Claves: mode, srcDir, publicDir, outDir, plugins y cualquier opción de QuadKernBuilder.config
+ * (minify, generateSourceMaps, critical, images, fonts, budgets...). Los flags de CLI tienen prioridad.
+ */
+
+export default {
+  mode: 'production',
+
+  plugins: [
+    {
+      // GitHub Pages: servir docs/ tal cual, sin procesarlo con Jekyll
+      name: 'nojekyll',
+      beforeStage(stage, { emitFile, addReport }) {
+        if (stage !== 'report') return;
+        emitFile('.nojekyll', '');
+        addReport('emitted', '.nojekyll');
+      }
+    }
+  ]
+};
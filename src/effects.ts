@@ -15,6 +15,44 @@ interface Particle {
   rotationSpeed: number;
 }
 
+interface CardEffect {
+  selector: string;
+  // Color según un atributo de valores fijos (sin data-effect-color en la tarjeta)
+  colors?: { attribute: string; values: { [key: string]: string } };
+  fallback: string;
+  count: number;
+  spread: number;
+}
+
+// Color de las partículas al pasar sobre cada tarjeta: el data-effect-color que generan los partials
+// desde src/data (servicios, equipo) o el del tipo de proyecto
+const CARD_EFFECTS: CardEffect[] = [
+  {
+    selector: '.service-card',
+    fallback: '#3498db',
+    count: 4,
+    spread: 40
+  },
+  {
+    selector: '.project-card',
+    colors: { attribute: 'data-type', values: { game: '#6c5ce7', app: '#2ecc71', web: '#e74c3c' } },
+    fallback: '#3498db',
+    count: 5,
+    spread: 50
+  },
+  {
+    selector: '.team-member',
+    fallback: '#74b9ff',
+    count: 4,
+    spread: 50
+  }
+];
+
+const CONTACT_COLORS = ['#3498db', '#2ecc71', '#f39c12'];
+
+// Milisegundos mínimos entre dos efectos de tarjeta (evita el spam al recorrer la grilla)
+const CARD_EFFECT_COOLDOWN = 500;
+
 interface ShaderConfig {
   intensity: number;
   speed: number;
@@ -31,6 +69,7 @@ class QuadKernEffects {
   private mouseX: number = 0;
   private mouseY: number = 0;
   private time: number = 0;
+  private lastCardEffect: number = 0;
 
   constructor() {
     this.config = {
@@ -115,6 +154,34 @@ class QuadKernEffects {
         observer.observe(element);
       }
     });
+
+    this.setupCardEffects();
+  }
+
+  private setupCardEffects(): void {
+    CARD_EFFECTS.forEach(effect => {
+      document.querySelectorAll<HTMLElement>(effect.selector).forEach(card => {
+        card.addEventListener('mouseenter', () => {
+          const color = card.dataset.effectColor
+            || (effect.colors && effect.colors.values[card.getAttribute(effect.colors.attribute) || ''])
+            || effect.fallback;
+          this.createCardEffect(color, effect.count, effect.spread);
+        });
+      });
+    });
+
+    const contactForm = document.querySelector('.contact-form');
+    if (contactForm) {
+      const contactEffect = () => {
+        const color = CONTACT_COLORS[Math.floor(Math.random() * CONTACT_COLORS.length)];
+        this.createCardEffect(color, 3, 30);
+      };
+
+      contactForm.querySelectorAll('.form-input, .form-textarea').forEach(input => {
+        input.addEventListener('focus', contactEffect);
+      });
+      contactForm.querySelector('.form-submit')?.addEventListener('mouseenter', contactEffect);
+    }
   }
 
   private createParticleSystem(): void {
@@ -194,6 +261,30 @@ class QuadKernEffects {
     }
   }
 
+  private createCardEffect(color: string, count: number, spread: number): void {
+    const now = Date.now();
+    if (now - this.lastCardEffect < CARD_EFFECT_COOLDOWN) return;
+    this.lastCardEffect = now;
+
+    for (let i = 0; i < count; i++) {
+      const particle: Particle = {
+        x: this.mouseX + (Math.random() - 0.5) * spread,
+        y: this.mouseY + (Math.random() - 0.5) * spread,
+        vx: (Math.random() - 0.5) * 1.5,
+        vy: (Math.random() - 0.5) * 1.5,
+        size: Math.random() * 2 + 1,
+        color,
+        alpha: 0.3,
+        life: 0,
+        maxLife: 60,
+        rotation: 0,
+        rotationSpeed: 0
+      };
+
+      this.particles.push(particle);
+    }
+  }
+
   private updateParticles(): void {
     for (let i = this.particles.length - 1; i >= 0; i--) {
       const p = this.particles[i];
@@ -360,17 +451,6 @@ class QuadKernEffects {
   }
 }
 
-// Inicializar cuando el DOM esté listo
-document.addEventListener('DOMContentLoaded', () => {
-  const effects = new QuadKernEffects();
-  
-  // Exponer controles para debugging (opcional)
-  (window as any).quadkernEffects = effects;
-  
-  // Efectos adicionales específicos para QuadKern
-  initializeQuadKernSpecificEffects();
-});
-
 function initializeQuadKernSpecificEffects(): void {
   // Efecto de typing en el título
   const title = document.querySelector('h1');
@@ -378,11 +458,8 @@ function initializeQuadKernSpecificEffects(): void {
     animateTyping(title);
   }
 
-  // Efectos de scroll mejorados
+  // Efectos de scroll mejorados (los de las tarjetas viven en QuadKernEffects)
   setupAdvancedScrollEffects();
-  
-  // Efectos de hover en las tarjetas del equipo
-  setupTeamCardEffects();
 }
 
 function animateTyping(element: Element): void {
@@ -431,38 +508,6 @@ function setupAdvancedScrollEffects(): void {
   }, { passive: true });
 }
 
-function setupTeamCardEffects(): void {
-  const teamMembers = document.querySelectorAll('[id="equipo"] .flex.flex-col.gap-3.text-center.pb-3');
-  
-  teamMembers.forEach((member, index) => {
-    member.addEventListener('mouseenter', () => {
-      // Crear efecto de partículas específico para cada miembro
-      const colors = ['#3498db', '#9b59b6', '#2ecc71', '#e74c3c'];
-      const memberColor = colors[index % colors.length];
-      
-      createMemberEffect(member as HTMLElement, memberColor);
-    });
-  });
-}
-
-function createMemberEffect(element: HTMLElement, color: string): void {
-  const rect = element.getBoundingClientRect();
-  const effects = (window as any).quadkernEffects;
-  
-  if (effects) {
-    // Crear partículas específicas para este miembro del equipo
-    for (let i = 0; i < 15; i++) {
-      setTimeout(() => {
-        effects.createParticle({
-          x: rect.left + rect.width / 2,
-          y: rect.top + rect.height / 2,
-          color: color
-        });
-      }, i * 50);
-    }
-  }
-}
-
 // Utilidades para efectos matemáticos avanzados
 class MathUtils {
   static lerp(start: number, end: number, factor: number): number {
@@ -484,4 +529,4 @@ class MathUtils {
 }
 
 // Exportar para uso en otros módulos si es necesario
-export { QuadKernEffects, MathUtils };
+export { QuadKernEffects, MathUtils, initializeQuadKernSpecificEffects };
@@ -0,0 +1,4 @@
+// Constantes que reemplaza esbuild en build.js (config.defines); el código que depende de ellas
+// se elimina del bundle cuando valen false
+declare const __DEV__: boolean;
+declare const __QK_DEBUG__: boolean;
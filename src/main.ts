@@ -3,9 +3,10 @@
  * Sistema principal que orquesta todos los módulos
  */
 
-import { QuadKernEffects } from './effects';
+import { QuadKernEffects, initializeQuadKernSpecificEffects } from './effects';
 import { QuadKernNavigation } from './navigation';
 import { QuadKernPerformance } from './performance';
+import { initializeNotFoundSuggestions } from './not-found';
 
 interface QuadKernConfig {
   enableEffects: boolean;
@@ -53,6 +54,9 @@ class QuadKernApp {
 
       if (this.config.enableEffects) {
         this.effects = new QuadKernEffects();
+        // Los efectos de scroll y del equipo leen la instancia global
+        (window as any).quadkernEffects = this.effects;
+        initializeQuadKernSpecificEffects();
       }
 
       // Configurar optimizaciones automáticas
@@ -60,8 +64,8 @@ class QuadKernApp {
         this.setupAutoOptimizations();
       }
 
-      // Configurar debugging
-      if (this.config.debugMode) {
+      // Configurar debugging (__QK_DEBUG__ lo elimina del bundle de producción)
+      if (__QK_DEBUG__ && this.config.debugMode) {
         this.setupDebugMode();
       }
 
@@ -120,6 +124,8 @@ class QuadKernApp {
   }
 
   private setupDebugMode(): void {
+    if (!__QK_DEBUG__) return;
+
     // Exponer controles de debugging en la consola
     (window as any).QuadKernDebug = {
       effects: this.effects,
@@ -237,7 +243,7 @@ Ejemplos:
 
   private handleError(error: Error): void {
     // Log del error para debugging
-    if (this.config.debugMode) {
+    if (__QK_DEBUG__ && this.config.debugMode) {
       console.error('Error details:', {
         message: error.message,
         stack: error.stack,
@@ -280,7 +286,7 @@ Ejemplos:
   }
 
   private reportInitialMetrics(): void {
-    if (!this.config.debugMode) return;
+    if (!__QK_DEBUG__ || !this.config.debugMode) return;
 
     const metrics = {
       timestamp: new Date().toISOString(),
@@ -327,7 +333,7 @@ Ejemplos:
   public updateConfig(newConfig: Partial<QuadKernConfig>): void {
     this.config = { ...this.config, ...newConfig };
     
-    if (newConfig.debugMode !== undefined) {
+    if (__QK_DEBUG__ && newConfig.debugMode !== undefined) {
       if (newConfig.debugMode) {
         this.setupDebugMode();
       } else {
@@ -350,20 +356,22 @@ Ejemplos:
 let quadkernApp: QuadKernApp | null = null;
 
 document.addEventListener('DOMContentLoaded', () => {
-  // Detectar modo de desarrollo
-  const isDevelopment = window.location.hostname === 'localhost' || 
-                       window.location.hostname === '127.0.0.1';
-
   quadkernApp = new QuadKernApp({
     enableEffects: true,
     enableNavigation: true,
     enablePerformance: true,
-    debugMode: isDevelopment,
+    // Definido por el build según --mode (config.defines)
+    debugMode: __QK_DEBUG__,
     autoOptimize: true
   });
 
   // Exponer instancia global para debugging
-  (window as any).QuadKern = quadkernApp;
+  if (__QK_DEBUG__) {
+    (window as any).QuadKern = quadkernApp;
+  }
+
+  // 404.html: sugerir la sección más parecida a la ruta pedida
+  initializeNotFoundSuggestions();
 });
 
 // Exportar para uso en otros módulos
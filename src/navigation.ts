@@ -3,6 +3,9 @@
  * Sistema de navegación inteligente con TypeScript
  */
 
+// Fuente única de las secciones: también la usan el footer y la validación de enlaces del build
+import navigationSections from './data/navigation.json';
+
 interface NavigationConfig {
     headerHeight: number;
     smoothScrollDuration: number;
@@ -69,7 +72,7 @@ class QuadKernNavigation {
      * Recopila todas las secciones con IDs
      */
     private collectSections(): void {
-        const sectionIds = ['inicio', 'servicios', 'proyectos', 'equipo', 'contacto'];
+        const sectionIds = navigationSections.map(section => section.id);
         
         this.sections = sectionIds
             .map(id => {
@@ -444,11 +447,3 @@ class QuadKernNavigation {
 
 // Exportar para uso en otros módulos
 export { QuadKernNavigation };
-
-// Inicializar navegación cuando el script se carga (solo si no es importado)
-if (typeof window !== 'undefined') {
-  const navigation = new QuadKernNavigation();
-  (window as any).QuadKernNavigation = QuadKernNavigation;
-  (window as any).navigation = navigation;
-  console.log('🚀 QuadKern Navigation System loaded');
-}
\ No newline at end of file
@@ -0,0 +1,95 @@
+/**
+ * QuadKern Not Found
+ * Sugiere en 404.html la sección o página más parecida a la ruta pedida
+ */
+
+interface Candidate {
+  link: HTMLAnchorElement;
+  keys: string[];
+}
+
+// Distancia relativa máxima para considerar una sugerencia (0 = idéntica, 1 = nada en común)
+const MAX_DISTANCE = 0.5;
+
+// Largo mínimo de ambos textos para aceptar una coincidencia parcial ("/o" no debe sugerir "contacto")
+const MIN_SUBSTRING_LENGTH = 3;
+
+function normalize(value: string): string {
+  return value
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\.html?$/, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function levenshtein(a: string, b: string): number {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Distancia relativa entre la ruta pedida y el mejor de los nombres del candidato
+ */
+function distance(segments: string[], candidate: Candidate): number {
+  return Math.min(...segments.flatMap(segment =>
+    candidate.keys.map(key => {
+      if (segment === key) return 0;
+      // "/servicios-web" contiene "servicios": casi tan bueno como una coincidencia exacta
+      const long = segment.length >= MIN_SUBSTRING_LENGTH && key.length >= MIN_SUBSTRING_LENGTH;
+      if (long && (segment.includes(key) || key.includes(segment))) return 0.1;
+      return levenshtein(segment, key) / Math.max(segment.length, key.length);
+    })
+  ));
+}
+
+function initializeNotFoundSuggestions(): void {
+  const container = document.querySelector<HTMLElement>('[data-not-found]');
+  if (!container) return;
+
+  let requested = window.location.pathname;
+  try {
+    requested = decodeURIComponent(requested);
+  } catch {
+    // Una secuencia % inválida se compara tal cual
+  }
+
+  const path = container.querySelector<HTMLElement>('[data-not-found-path]');
+  if (path) path.textContent = requested;
+
+  const segments = requested.split('/').map(normalize).filter(Boolean);
+  const suggestion = container.querySelector<HTMLElement>('[data-not-found-suggestion]');
+  if (!suggestion || segments.length === 0) return;
+
+  const candidates: Candidate[] = Array.from(container.querySelectorAll<HTMLAnchorElement>('a[data-suggestion]'))
+    .map(link => ({
+      link,
+      keys: (link.dataset.suggestion || '').split(' ').map(normalize).filter(Boolean)
+    }));
+
+  const [best] = candidates
+    .map(candidate => ({ candidate, score: distance(segments, candidate) }))
+    .sort((a, b) => a.score - b.score);
+
+  if (!best || best.score > MAX_DISTANCE) return;
+
+  const link = best.candidate.link.cloneNode(true) as HTMLAnchorElement;
+  link.removeAttribute('data-suggestion');
+  link.className = 'text-[#74b9ff] underline';
+
+  suggestion.append('¿Buscabas ', link, '?');
+  suggestion.hidden = false;
+}
+
+export { initializeNotFoundSuggestions };
@@ -141,10 +141,9 @@ class QuadKernPerformance {
   private setupResourcePreloading(): void {
     if (!this.config.enableResourcePreloading) return;
 
-    // Preload recursos críticos
+    // Preload recursos críticos (las fuentes locales ya se precargan desde el HTML generado)
     const criticalResources = [
-      './QuadkernLogo.png',
-      'https://fonts.googleapis.com/css2?display=swap&family=Noto+Sans:wght@400;500;700;900&family=Space+Grotesk:wght@400;500;700'
+      './QuadkernLogo.png'
     ];
 
     criticalResources.forEach(resource => {
@@ -154,8 +153,6 @@ class QuadKernPerformance {
       
       if (resource.includes('.png')) {
         link.as = 'image';
-      } else if (resource.includes('fonts.googleapis.com')) {
-        link.as = 'style';
       }
       
       document.head.appendChild(link);
@@ -306,7 +303,7 @@ class QuadKernPerformance {
   }
 
   private reportMetrics(): void {
-    if (!this.config.enableAnalytics) return;
+    if (!__DEV__ || !this.config.enableAnalytics) return;
     
     console.log('📊 QuadKern Performance Metrics:', {
       loadTime: `${this.metrics.loadTime.toFixed(2)}ms`,
@@ -352,10 +349,4 @@ class QuadKernPerformance {
   }
 }
 
-// Inicializar optimizaciones
-document.addEventListener('DOMContentLoaded', () => {
-  const performance = new QuadKernPerformance();
-  (window as any).quadkernPerformance = performance;
-});
-
 export { QuadKernPerformance };
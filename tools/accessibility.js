@@ -0,0 +1,360 @@
+/**
+ * QuadKern Accessibility Audit
+ * Reglas de accesibilidad sobre el HTML generado: labels, alt, encabezados, contraste, landmarks y nombres
+ */
+
+import * as cheerio from 'cheerio';
+
+// Niveles de impacto, de menor a mayor (mismos nombres que axe-core)
+export const IMPACTS = ['minor', 'moderate', 'serious', 'critical'];
+
+// Regla → impacto por defecto (config.accessibility.rules puede cambiarlo o desactivarla con 'off')
+export const RULES = {
+  'html-lang': 'serious',
+  'image-alt': 'critical',
+  'label': 'critical',
+  'button-name': 'critical',
+  'link-name': 'serious',
+  'emoji-name': 'minor',
+  'heading-order': 'moderate',
+  'color-contrast': 'serious',
+  'landmarks': 'moderate'
+};
+
+// Controles de formulario que necesitan una etiqueta
+const LABELABLE = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea';
+
+const EMOJI = /\p{Extended_Pictographic}/u;
+
+// Tamaños de texto de Tailwind en px (WCAG: texto grande ≥ 24px, o ≥ 18.66px en negrita)
+const TEXT_SIZES = { xs: 12, sm: 14, base: 16, lg: 18, xl: 20, '2xl': 24, '3xl': 30, '4xl': 36, '5xl': 48, '6xl': 60 };
+const FONT_WEIGHT = /(^|\s)font-(thin|extralight|light|normal|medium|semibold|bold|extrabold|black)(\s|$)/;
+
+const NAMED_COLORS = { white: '#ffffff', black: '#000000' };
+
+class QuadKernAccessibility {
+  /**
+   * @param {object} options
+   * @param {object} options.rules - Regla → impacto ('minor' ... 'critical') u 'off'
+   * @param {string} options.background - Fondo de la página cuando ningún ancestro declara uno
+   */
+  constructor(options = {}) {
+    this.rules = { ...RULES, ...options.rules };
+    this.background = parseColor(options.background || '#ffffff');
+  }
+
+  /**
+   * Audita un documento; devuelve los problemas encontrados, uno por elemento
+   * @returns {{ rule: string, impact: string, selector: string, html: string, message: string }[]}
+   */
+  audit(html) {
+    const $ = cheerio.load(html);
+    const issues = [];
+    const report = (rule, element, message) => {
+      const impact = this.rules[rule];
+      if (!impact || impact === 'off') return;
+      issues.push({ rule, impact, selector: selectorFor($, element), html: openingTag($, element), message });
+    };
+
+    this.checkLanguage($, report);
+    this.checkImages($, report);
+    this.checkLabels($, report);
+    this.checkNames($, report);
+    this.checkHeadings($, report);
+    this.checkContrast($, report);
+    this.checkLandmarks($, report);
+
+    return issues;
+  }
+
+  checkLanguage($, report) {
+    const root = $('html');
+    if (!(root.attr('lang') || '').trim()) {
+      report('html-lang', root.get(0), '<html> has no lang attribute');
+    }
+  }
+
+  checkImages($, report) {
+    $('img').each((_, element) => {
+      // alt="" es válido: marca la imagen como decorativa
+      if ($(element).attr('alt') === undefined && !isHidden($, element)) {
+        report('image-alt', element, 'image has no alt attribute (use alt="" if it is decorative)');
+      }
+    });
+
+    $('[role="img"]').each((_, element) => {
+      if (!accessibleName($, element)) {
+        report('image-alt', element, 'role="img" element has no accessible name');
+      }
+    });
+  }
+
+  checkLabels($, report) {
+    $(LABELABLE).each((_, element) => {
+      if (isHidden($, element) || accessibleName($, element)) return;
+      report('label', element, 'form control has no associated <label>, aria-label or aria-labelledby');
+    });
+
+    $('label').each((_, element) => {
+      const label = $(element);
+      const target = label.attr('for');
+      if (target ? $(`[id="${target}"]`).length === 0 : label.find(LABELABLE).length === 0) {
+        report('label', element, target
+          ? `<label for="${target}"> points to a missing id`
+          : '<label> is not associated with any control (add for="id" or wrap the control)');
+      }
+    });
+  }
+
+  checkNames($, report) {
+    const check = (rule, element, what) => {
+      if (isHidden($, element)) return;
+
+      const name = accessibleName($, element);
+      if (!/[\p{L}\p{N}]/u.test(name.replace(new RegExp(EMOJI, 'gu'), ''))) {
+        report(rule, element, name
+          ? `${what} name "${name}" has only emoji or symbols`
+          : `${what} has no accessible name (text, aria-label or aria-labelledby)`);
+      } else if (EMOJI.test(name)) {
+        report('emoji-name', element, `${what} name "${name}" includes emoji that screen readers announce (wrap them in aria-hidden="true")`);
+      }
+    };
+
+    $('button, [role="button"], input[type="submit"], input[type="button"]').each((_, element) => check('button-name', element, 'button'));
+    $('a[href]').each((_, element) => check('link-name', element, 'link'));
+  }
+
+  checkHeadings($, report) {
+    const headings = $('h1, h2, h3, h4, h5, h6').toArray().filter(element => !isHidden($, element));
+    const h1 = headings.filter(element => element.tagName === 'h1');
+
+    if (h1.length === 0) {
+      report('heading-order', $('body').get(0), 'page has no <h1>');
+    }
+    h1.slice(1).forEach(element => report('heading-order', element, 'page has more than one <h1>'));
+
+    let previous = 0;
+    headings.forEach(element => {
+      const level = Number(element.tagName[1]);
+      if (previous > 0 && level > previous + 1) {
+        report('heading-order', element, `heading level skips from h${previous} to h${level}`);
+      }
+      previous = level;
+    });
+  }
+
+  /**
+   * Contraste de los colores declarados con utilidades de Tailwind (text-[#hex], bg-[#hex]/90,
+   * text-white) o estilos inline; las clases propias del CSS no se resuelven
+   */
+  checkContrast($, report) {
+    $('body *').each((_, element) => {
+      if (!hasOwnText($, element) || isHidden($, element)) return;
+
+      // El color de texto se hereda: vale el del ancestro más cercano que lo declare
+      const foreground = inherited(element, node => declaredColor($, node, 'text'));
+      if (!foreground) return;
+
+      const background = this.backgroundOf($, element);
+      const ratio = contrastRatio(blend(foreground, background), background);
+      const large = isLargeText($, element);
+      const required = large ? 3 : 4.5;
+
+      if (ratio < required) {
+        report('color-contrast', element,
+          `contrast ${ratio.toFixed(2)}:1 between ${toHex(foreground)} and ${toHex(background)} is below ${required}:1${large ? ' (large text)' : ''}`);
+      }
+    });
+  }
+
+  checkLandmarks($, report) {
+    const main = $('main, [role="main"]');
+    if (main.length === 0) {
+      report('landmarks', $('body').get(0), 'page has no <main> landmark');
+    }
+    main.slice(1).each((_, element) => report('landmarks', element, 'page has more than one <main> landmark'));
+
+    // header/footer solo son banner/contentinfo fuera de article, aside, main, nav y section
+    ['header', 'footer'].forEach(tag => {
+      const landmarks = $(tag).toArray().filter(element => $(element).parents('article, aside, main, nav, section').length === 0);
+      landmarks
+        .filter(element => $(element).parents(tag).length > 0)
+        .forEach(element => report('landmarks', element, `<${tag}> is nested inside another <${tag}>`));
+      landmarks
+        .filter(element => $(element).parents(tag).length === 0)
+        .slice(1)
+        .forEach(element => report('landmarks', element, `page has more than one top-level <${tag}>`));
+    });
+  }
+
+  /**
+   * Fondo efectivo: primer fondo declarado en el elemento o sus ancestros,
+   * mezclado con los de más abajo si tiene transparencia
+   */
+  backgroundOf($, element) {
+    const layers = [];
+    for (let node = element; node && node.type === 'tag'; node = node.parent) {
+      const color = declaredColor($, node, 'bg');
+      if (!color) continue;
+      layers.push(color);
+      if (color.alpha === 1) break;
+    }
+
+    return layers.reduceRight((below, layer) => blend(layer, below), this.background);
+  }
+}
+
+/**
+ * Cálculo simplificado del nombre accesible (aria-labelledby, aria-label, label, texto, alt, title)
+ */
+function accessibleName($, element) {
+  const node = $(element);
+
+  const labelledBy = (node.attr('aria-labelledby') || '').split(/\s+/).filter(Boolean);
+  if (labelledBy.length > 0) {
+    return normalize(labelledBy.map(id => textAlternative($, $(`[id="${id}"]`).get(0))).join(' '));
+  }
+  if ((node.attr('aria-label') || '').trim()) return normalize(node.attr('aria-label'));
+
+  if (node.is(LABELABLE)) {
+    const id = node.attr('id');
+    const label = (id && $(`label[for="${id}"]`).get(0)) || node.closest('label').get(0);
+    return label ? textAlternative($, label) : normalize(node.attr('title') || '');
+  }
+
+  if (node.is('input')) return normalize(node.attr('value') || node.attr('title') || '');
+  if (node.is('img')) return normalize(node.attr('alt') || node.attr('title') || '');
+
+  return textAlternative($, element) || normalize(node.attr('title') || '');
+}
+
+function textAlternative($, element) {
+  if (!element) return '';
+
+  const collect = (node) => {
+    if (node.type === 'text') return node.data;
+    if (node.type !== 'tag' || $(node).attr('aria-hidden') === 'true') return '';
+    if (node.tagName === 'img') return $(node).attr('alt') || '';
+    if (node.tagName === 'svg') return $(node).children('title').text();
+    if ($(node).attr('aria-label')) return $(node).attr('aria-label');
+    return (node.children || []).map(collect).join(' ');
+  };
+
+  return normalize(collect(element));
+}
+
+function normalize(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function isHidden($, element) {
+  const node = $(element);
+  return node.closest('[hidden], [aria-hidden="true"], template, noscript').length > 0
+    || /display\s*:\s*none/.test(node.attr('style') || '');
+}
+
+function hasOwnText($, element) {
+  return (element.children || []).some(child => child.type === 'text' && child.data.trim());
+}
+
+function isLargeText($, element) {
+  const px = inherited(element, node => {
+    const classes = $(node).attr('class') || '';
+    const size = classes.match(/(?:^|\s)text-\[(\d+(?:\.\d+)?)px\]/);
+    const named = classes.match(/(?:^|\s)text-(xs|sm|base|lg|xl|[2-6]xl)(?:\s|$)/);
+    return size ? Number(size[1]) : named ? TEXT_SIZES[named[1]] : null;
+  }) || 16;
+  const bold = inherited(element, node => {
+    const weight = ($(node).attr('class') || '').match(FONT_WEIGHT);
+    return weight ? weight[2] : null;
+  });
+
+  return px >= 24 || (px >= 18.66 && ['bold', 'extrabold', 'black'].includes(bold));
+}
+
+/**
+ * Primer valor no nulo de `read` en el elemento o sus ancestros
+ */
+function inherited(element, read) {
+  for (let node = element; node && node.type === 'tag'; node = node.parent) {
+    const value = read(node);
+    if (value !== null && value !== undefined) return value;
+  }
+  return null;
+}
+
+/**
+ * Color declarado con una utilidad de Tailwind (text-/bg-) o con el estilo inline equivalente
+ */
+function declaredColor($, element, prefix) {
+  const node = $(element);
+  const property = prefix === 'text' ? 'color' : 'background-color';
+  const inline = (node.attr('style') || '').match(new RegExp(`(?:^|;)\\s*${property}\\s*:\\s*([^;]+)`));
+  if (inline) return parseColor(inline[1].trim());
+
+  const utilities = (node.attr('class') || '').split(/\s+/)
+    .filter(name => name.startsWith(`${prefix}-`) && !name.includes(':'));
+  for (const name of utilities.reverse()) {
+    const match = name.slice(prefix.length + 1).match(/^(?:\[(#[0-9a-f]{3,8})\]|(white|black))(?:\/(\d+))?$/i);
+    if (!match) continue;
+
+    const color = parseColor(match[1] || match[2]);
+    if (color && match[3]) color.alpha = Number(match[3]) / 100;
+    return color;
+  }
+
+  return null;
+}
+
+function parseColor(value) {
+  const hex = (NAMED_COLORS[value.toLowerCase()] || value).replace(/^#/, '');
+  if (!/^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex)) return null;
+
+  const full = hex.length <= 4 ? [...hex].map(digit => digit + digit).join('') : hex;
+  const channel = (index) => parseInt(full.slice(index * 2, index * 2 + 2), 16);
+  return { r: channel(0), g: channel(1), b: channel(2), alpha: full.length === 8 ? channel(3) / 255 : 1 };
+}
+
+function blend(color, below) {
+  const mix = (key) => Math.round(color[key] * color.alpha + below[key] * (1 - color.alpha));
+  return { r: mix('r'), g: mix('g'), b: mix('b'), alpha: 1 };
+}
+
+function luminance({ r, g, b }) {
+  const linear = (value) => {
+    const channel = value / 255;
+    return channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
+
+function contrastRatio(a, b) {
+  const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+}
+
+function toHex({ r, g, b }) {
+  return `#${[r, g, b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Selector corto para ubicar el elemento: hasta tres niveles, con id o primera clase
+ */
+function selectorFor($, element) {
+  const parts = [];
+  for (let node = element; node && node.type === 'tag' && parts.length < 3; node = node.parent) {
+    const id = $(node).attr('id');
+    const className = ($(node).attr('class') || '').split(/\s+/).find(name => /^[\w-]+$/.test(name));
+    parts.unshift(id ? `${node.tagName}#${id}` : className ? `${node.tagName}.${className}` : node.tagName);
+    if (id) break;
+  }
+  return parts.join(' > ');
+}
+
+function openingTag($, element) {
+  const html = $.html(element);
+  const tag = html.slice(0, html.indexOf('>') + 1);
+  return tag.length > 120 ? `${tag.slice(0, 117)}...` : tag;
+}
+
+export default QuadKernAccessibility;
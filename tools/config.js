@@ -0,0 +1,230 @@
+/**
+ * QuadKern Config
+ * Resuelve la configuración del build: defaults < modo < quadkern.config.{js,json} < flags de CLI
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+export const CONFIG_FILES = ['quadkern.config.js', 'quadkern.config.json'];
+
+// Ajustes implícitos de cada modo (un valor explícito en el archivo o la CLI los reemplaza)
+export const MODES = {
+  production: {
+    minify: true,
+    generateSourceMaps: false,
+    fingerprint: true,
+    enforceBudgets: true,
+    defines: { __DEV__: false, __QK_DEBUG__: false }
+  },
+  development: {
+    minify: false,
+    generateSourceMaps: true,
+    fingerprint: false,
+    // Sin minificar los presupuestos no son representativos: se reportan sin cortar el build
+    enforceBudgets: false,
+    defines: { __DEV__: true, __QK_DEBUG__: true }
+  }
+};
+
+// Claves del archivo de configuración que no pertenecen a builder.config
+const PATH_KEYS = ['srcDir', 'publicDir', 'outDir'];
+const TOP_LEVEL_KEYS = [...PATH_KEYS, 'mode', 'plugins'];
+
+const FLAGS = [
+  { flag: '--mode <mode>', description: `Build mode: ${Object.keys(MODES).join(' | ')} (default: production)` },
+  { flag: '--out <dir>', description: 'Output directory (default: ./docs)' },
+  { flag: '--minify, --no-minify', description: 'Minify JS, CSS and HTML' },
+  { flag: '--sourcemaps, --no-sourcemaps', description: 'Emit source maps for the JS bundle' },
+  { flag: '--config <file>', description: `Config file (default: ${CONFIG_FILES.join(' or ')})` },
+  { flag: '--watch', description: 'Build, then rebuild affected stages on file changes' },
+  { flag: '--verify', description: 'Rebuild into a temporary directory and check that the output matches byte-for-byte' },
+  { flag: '--serve', description: 'Serve the output like GitHub Pages (404.html, trailing slashes, CNAME); with --watch, after building' },
+  { flag: '--port <port>', description: 'Port for --serve (default: 4000)' },
+  { flag: '--live-reload, --no-live-reload', description: 'Reload the browser after each rebuild of --watch --serve (default: on)' },
+  { flag: '--report-only', description: 'Regenerate build-report.json from the existing output without building' },
+  { flag: '--help, -h', description: 'Show this help' }
+];
+
+// Flags sin valor (nombre → forma de uso): "--minify=false" no debe leerse como --minify
+const SWITCHES = new Map(
+  FLAGS.filter(({ flag }) => !flag.includes('<')).flatMap(({ flag }) => flag.split(', ').map(name => [name, flag]))
+);
+
+class QuadKernConfig {
+  /**
+   * Interpreta los argumentos de la CLI
+   * @returns {{ command: 'build'|'watch'|'verify'|'report'|'help', serve: boolean, configFile: string|null, mode: string|null, outDir: string|null, config: object }}
+   */
+  static parseArgs(argv) {
+    const result = { command: 'build', serve: false, configFile: null, mode: null, outDir: null, config: {} };
+    const args = [...argv];
+
+    const takeValue = (arg) => {
+      const [flag, inline] = arg.split(/=(.*)/s);
+      if (inline !== undefined) return inline;
+      const value = args.shift();
+      if (value === undefined || value.startsWith('--')) {
+        throw new Error(`${flag} requires a value`);
+      }
+      return value;
+    };
+
+    while (args.length > 0) {
+      const arg = args.shift();
+      const name = arg.split('=')[0];
+
+      if (name !== arg && SWITCHES.has(name)) {
+        throw new Error(`${name} does not take a value, got "${arg}" (use ${SWITCHES.get(name).replace(', ', ' or ')})`);
+      }
+
+      switch (name) {
+        case '--help':
+        case '-h':
+          result.command = 'help';
+          break;
+        case '--watch':
+          result.command = 'watch';
+          break;
+        case '--verify':
+          result.command = 'verify';
+          break;
+        case '--report-only':
+          result.command = 'report';
+          break;
+        case '--serve':
+          result.serve = true;
+          break;
+        case '--port': {
+          const port = takeValue(arg);
+          if (!/^\d+$/.test(port) || Number(port) > 65535) {
+            throw new Error(`--port must be a number between 0 and 65535, got "${port}"`);
+          }
+          result.config.serve = { ...result.config.serve, port: Number(port) };
+          break;
+        }
+        case '--live-reload':
+        case '--no-live-reload':
+          result.config.serve = { ...result.config.serve, liveReload: name === '--live-reload' };
+          break;
+        case '--minify':
+        case '--no-minify':
+          result.config.minify = name === '--minify';
+          break;
+        case '--sourcemaps':
+        case '--no-sourcemaps':
+          result.config.generateSourceMaps = name === '--sourcemaps';
+          break;
+        case '--mode':
+          result.mode = takeValue(arg);
+          break;
+        case '--out':
+          result.outDir = takeValue(arg);
+          break;
+        case '--config':
+          result.configFile = takeValue(arg);
+          break;
+        default:
+          throw new Error(`Unknown option: ${arg} (run with --help to list the available options)`);
+      }
+    }
+
+    // --serve sirve la salida existente o, con --watch, la que se va reconstruyendo
+    if (result.serve && !['build', 'watch', 'help'].includes(result.command)) {
+      throw new Error('--serve can only be combined with --watch');
+    }
+
+    return result;
+  }
+
+  /**
+   * Importa el archivo de configuración (explícito o el primero de CONFIG_FILES que exista)
+   */
+  static async loadFile(configFile = null, dir = '.') {
+    const candidates = configFile ? [configFile] : CONFIG_FILES;
+    const configPath = candidates.map(file => path.resolve(dir, file)).find(file => fs.existsSync(file));
+
+    if (!configPath) {
+      if (configFile) throw new Error(`Config file not found: ${configFile}`);
+      return { path: null, options: {} };
+    }
+
+    if (configPath.endsWith('.json')) {
+      try {
+        return { path: configPath, options: JSON.parse(fs.readFileSync(configPath, 'utf8')) };
+      } catch (error) {
+        throw new Error(`Invalid JSON in ${path.relative('.', configPath)}: ${error.message}`);
+      }
+    }
+
+    const { default: options } = await import(pathToFileURL(configPath).href);
+    return { path: configPath, options: options || {} };
+  }
+
+  /**
+   * Combina archivo y CLI en las opciones del constructor de QuadKernBuilder
+   */
+  static async resolve(argv) {
+    const cli = QuadKernConfig.parseArgs(argv);
+    if (cli.command === 'help') return { command: 'help' };
+
+    const file = await QuadKernConfig.loadFile(cli.configFile);
+    const mode = cli.mode || file.options.mode || 'production';
+
+    if (!MODES[mode]) {
+      throw new Error(`Unknown mode "${mode}" (expected ${Object.keys(MODES).join(' or ')})`);
+    }
+
+    const fileConfig = Object.fromEntries(
+      Object.entries(file.options).filter(([key]) => !TOP_LEVEL_KEYS.includes(key))
+    );
+
+    return {
+      command: cli.command,
+      serve: cli.serve,
+      configPath: file.path,
+      options: {
+        mode,
+        srcDir: file.options.srcDir,
+        publicDir: file.options.publicDir,
+        outDir: cli.outDir || file.options.outDir,
+        plugins: file.options.plugins || [],
+        config: QuadKernConfig.merge(MODES[mode], fileConfig, cli.config)
+      }
+    };
+  }
+
+  /**
+   * Merge profundo de objetos planos; los arrays y valores escalares se reemplazan
+   */
+  static merge(...layers) {
+    return layers.reduce((merged, layer) => {
+      for (const [key, value] of Object.entries(layer || {})) {
+        merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+          ? QuadKernConfig.merge(merged[key], value)
+          : value;
+      }
+      return merged;
+    }, {});
+  }
+
+  static help() {
+    const width = Math.max(...FLAGS.map(({ flag }) => flag.length));
+    return [
+      'Usage: node build.js [options]',
+      '',
+      'Options:',
+      ...FLAGS.map(({ flag, description }) => `  ${flag.padEnd(width)}  ${description}`),
+      '',
+      `Precedence: defaults < --mode preset < ${CONFIG_FILES.join(' / ')} < command-line flags`,
+      'Reproducible output: SOURCE_DATE_EPOCH (Unix seconds) sets the date stamped in the artifacts (default: last commit)'
+    ].join('\n');
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export default QuadKernConfig;
@@ -0,0 +1,133 @@
+/**
+ * QuadKern Critical CSS
+ * Extrae el CSS del contenido above-the-fold, lo inlinea en <head> y difiere el resto
+ */
+
+import postcss from 'postcss';
+import selectorParser from 'postcss-selector-parser';
+import { transform } from 'lightningcss';
+import * as cheerio from 'cheerio';
+
+// Pseudo-clases de estado y pseudo-elementos: no afectan a qué elemento se selecciona
+const DYNAMIC_PSEUDOS = /^:(hover|focus|focus-visible|focus-within|active|visited|target|checked|disabled|placeholder-shown)$/;
+
+class QuadKernCriticalCSS {
+  /**
+   * @param {object} options
+   * @param {string[]} options.roots - Selectores de las zonas above-the-fold (header, hero)
+   * @param {boolean} options.minify - Minificar el CSS inlineado
+   */
+  constructor(options = {}) {
+    this.roots = options.roots || ['header'];
+    this.minify = options.minify !== false;
+  }
+
+  /**
+   * Calcula el CSS crítico de `css` para el documento `html`
+   */
+  extract(html, css) {
+    const $ = cheerio.load(html);
+    const criticalElements = new Set();
+
+    for (const rootSelector of this.roots) {
+      $(rootSelector).each((_, element) => {
+        $(element).find('*').addBack().each((_, node) => criticalElements.add(node));
+        $(element).parents().each((_, node) => criticalElements.add(node));
+      });
+    }
+
+    const source = postcss.parse(css);
+    const critical = postcss.root();
+    const animations = new Set();
+
+    this.collectCritical($, source, critical, criticalElements, animations);
+
+    // Solo las animaciones que usan las reglas críticas
+    source.walkAtRules(/keyframes$/i, atRule => {
+      if (animations.has(atRule.params)) critical.append(atRule.clone());
+    });
+
+    let output = critical.toString();
+    if (this.minify && output) {
+      output = transform({ filename: 'critical.css', code: Buffer.from(output), minify: true }).code.toString();
+    }
+
+    return { css: output, selectors: this.countRules(critical) };
+  }
+
+  /**
+   * Inlinea el CSS crítico y convierte la hoja de estilos en una carga asíncrona
+   */
+  inline(html, criticalCSS, stylesheet) {
+    const $ = cheerio.load(html);
+    const isTarget = (_, element) => ($(element).attr('href') || '').replace(/^\.?\//, '') === stylesheet;
+    const id = stylesheet.replace(/\.css$/, '');
+
+    // Idempotente: limpiar el resultado de una ejecución anterior
+    $(`style[data-critical="${id}"]`).remove();
+    $(`noscript[data-critical-fallback="${id}"]`).remove();
+
+    const link = $('link[href]').filter(isTarget).first();
+    if (link.length === 0) {
+      return { html, inlined: false };
+    }
+
+    const href = link.attr('href');
+    link.before(`<style data-critical="${id}">${criticalCSS}</style>`);
+    link.attr('rel', 'preload');
+    link.attr('as', 'style');
+    link.attr('onload', "this.onload=null;this.rel='stylesheet'");
+    link.after(`<noscript data-critical-fallback="${id}"><link rel="stylesheet" href="${href}"></noscript>`);
+
+    return { html: $.html(), inlined: true };
+  }
+
+  collectCritical($, container, target, criticalElements, animations) {
+    container.each(node => {
+      if (node.type === 'rule') {
+        if (node.parent.type === 'atrule' && /keyframes$/i.test(node.parent.name)) return;
+
+        const matches = node.selectors.some(selector => this.matchesCritical($, selector, criticalElements));
+        if (matches) {
+          target.append(node.clone());
+          node.walkDecls(/^animation(-name)?$/, decl => {
+            decl.value.split(/[\s,]+/).forEach(token => animations.add(token));
+          });
+        }
+      } else if (node.type === 'atrule' && /^(media|supports|layer)$/i.test(node.name) && node.nodes) {
+        const wrapper = node.clone({ nodes: [] });
+        this.collectCritical($, node, wrapper, criticalElements, animations);
+        if (wrapper.nodes.length > 0) target.append(wrapper);
+      } else if (node.type === 'atrule' && /^(font-face|charset)$/i.test(node.name)) {
+        target.append(node.clone());
+      }
+    });
+  }
+
+  matchesCritical($, selector, criticalElements) {
+    const structural = selectorParser(selectors => {
+      selectors.walkPseudos(pseudo => {
+        if (pseudo.value.startsWith('::') || DYNAMIC_PSEUDOS.test(pseudo.value) || pseudo.value.startsWith(':-')) {
+          pseudo.remove();
+        }
+      });
+    }).processSync(selector).trim();
+
+    if (!structural) return false;
+
+    try {
+      return $(structural).toArray().some(element => criticalElements.has(element));
+    } catch {
+      // Selector no soportado por el motor de consultas: no es crítico
+      return false;
+    }
+  }
+
+  countRules(root) {
+    let count = 0;
+    root.walkRules(() => count++);
+    return count;
+  }
+}
+
+export default QuadKernCriticalCSS;
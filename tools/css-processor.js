@@ -0,0 +1,216 @@
+/**
+ * QuadKern CSS Processor
+ * Resuelve @import, elimina selectores sin uso y minifica las hojas de estilo
+ */
+
+import fs from 'fs';
+import path from 'path';
+import postcss from 'postcss';
+import safeParser from 'postcss-safe-parser';
+import selectorParser from 'postcss-selector-parser';
+import { transform } from 'lightningcss';
+import * as cheerio from 'cheerio';
+
+// Pseudo-clases cuyo contenido no se evalúa contra el HTML
+const TRANSPARENT_PSEUDOS = new Set([':not', ':is', ':where', ':has']);
+
+class QuadKernCSSProcessor {
+  /**
+   * @param {object} options
+   * @param {boolean} options.minify - Minificar y fusionar reglas duplicadas
+   * @param {boolean} options.purge - Eliminar selectores que no coinciden con el contenido
+   */
+  constructor(options = {}) {
+    this.minify = options.minify !== false;
+    this.purge = options.purge !== false;
+    this.usage = { tags: new Set(), classes: new Set(), ids: new Set() };
+  }
+
+  /**
+   * Registra el contenido contra el que se evalúan los selectores
+   */
+  addContent({ html = [], scripts = [] }) {
+    for (const document of html) {
+      const $ = cheerio.load(document);
+      $('*').each((_, element) => {
+        this.usage.tags.add(element.name.toLowerCase());
+        ($(element).attr('class') || '').split(/\s+/).filter(Boolean).forEach(name => this.usage.classes.add(name));
+        const id = $(element).attr('id');
+        if (id) this.usage.ids.add(id);
+      });
+    }
+
+    // Cualquier token dentro de un string de JS puede ser una clase, un id o un tag creado
+    for (const script of scripts) {
+      for (const [, , literal] of script.matchAll(/(['"`])((?:\\.|(?!\1)[^\\])*)\1/g)) {
+        literal.split(/[\s.#>+~,()[\]='"]+/).filter(Boolean).forEach(token => {
+          this.usage.classes.add(token);
+          this.usage.ids.add(token);
+          this.usage.tags.add(token.toLowerCase());
+        });
+      }
+    }
+  }
+
+  /**
+   * Procesa una hoja de estilo de entrada y devuelve el CSS final y su reporte
+   */
+  process(entryPath, options = {}) {
+    const report = { entry: toPosix(entryPath), bytesBefore: 0, bytesAfter: 0, sources: {}, warnings: [] };
+    const root = this.resolveImports(entryPath, report, new Set());
+
+    report.bytesBefore = Buffer.byteLength(root.toString());
+
+    if (this.purge) {
+      this.purgeUnusedSelectors(root, report);
+    }
+
+    let css = root.toString();
+
+    if (this.minify) {
+      const result = transform({
+        filename: path.basename(entryPath),
+        code: Buffer.from(css),
+        minify: true,
+        errorRecovery: true
+      });
+      result.warnings.forEach(warning => report.warnings.push(warning.message));
+      css = result.code.toString();
+    }
+
+    if (options.banner) {
+      css = `/* ${options.banner} */\n${css}`;
+    }
+
+    report.bytesAfter = Buffer.byteLength(css);
+    return { css, report };
+  }
+
+  /**
+   * Reemplaza cada @import local por el contenido del archivo importado
+   */
+  resolveImports(filePath, report, seen) {
+    const resolved = path.resolve(filePath);
+    const source = fs.readFileSync(resolved, 'utf8');
+    const root = this.parse(source, resolved, report);
+
+    seen.add(resolved);
+    report.sources[toPosix(path.relative('.', resolved))] = {
+      bytes: Buffer.byteLength(source),
+      purgedBytes: 0,
+      purgedSelectors: 0
+    };
+
+    root.walkAtRules('import', rule => {
+      const match = rule.params.match(/^(?:url\()?\s*['"]?([^'")\s]+)['"]?\s*\)?\s*(.*)$/);
+      if (!match || /^(https?:)?\/\//.test(match[1])) return;
+
+      const importPath = path.resolve(path.dirname(resolved), match[1]);
+      if (seen.has(importPath)) {
+        report.warnings.push(`Circular @import ignored: ${match[1]}`);
+        rule.remove();
+        return;
+      }
+      if (!fs.existsSync(importPath)) {
+        throw new Error(`Cannot resolve @import "${match[1]}" in ${path.relative('.', resolved)}`);
+      }
+
+      const imported = this.resolveImports(importPath, report, seen);
+      const nodes = [];
+
+      if (!this.minify) {
+        nodes.push(postcss.comment({ text: ` === ${path.basename(importPath).toUpperCase()} === ` }));
+      }
+
+      // @import "x.css" screen → envolver en @media
+      if (match[2]) {
+        nodes.push(postcss.atRule({ name: 'media', params: match[2], nodes: imported.nodes }));
+      } else {
+        nodes.push(...imported.nodes);
+      }
+
+      rule.replaceWith(nodes);
+    });
+
+    return root;
+  }
+
+  /**
+   * Parseo estricto; ante un error de sintaxis se avisa y se recupera como el navegador
+   */
+  parse(source, file, report) {
+    try {
+      return postcss.parse(source, { from: file });
+    } catch (error) {
+      if (error.name !== 'CssSyntaxError') throw error;
+      report.warnings.push(`${path.relative('.', file)}:${error.line}:${error.column} ${error.reason} (recovered)`);
+      const root = safeParser(source, { from: file });
+      // Las llaves sueltas terminan al final del documento
+      root.raws.after = (root.raws.after || '').replace(/}/g, '');
+      return root;
+    }
+  }
+
+  purgeUnusedSelectors(root, report) {
+    root.walkRules(rule => {
+      if (rule.parent.type === 'atrule' && /keyframes$/i.test(rule.parent.name)) return;
+
+      const selectors = rule.selectors;
+      const used = selectors.filter(selector => this.isSelectorUsed(selector));
+      if (used.length === selectors.length) return;
+
+      const sourceFile = rule.source && rule.source.input.file
+        ? toPosix(path.relative('.', rule.source.input.file))
+        : null;
+      const before = Buffer.byteLength(rule.toString());
+
+      if (used.length === 0) {
+        rule.remove();
+      } else {
+        rule.selectors = used;
+      }
+
+      if (sourceFile && report.sources[sourceFile]) {
+        const stats = report.sources[sourceFile];
+        stats.purgedSelectors += selectors.length - used.length;
+        stats.purgedBytes += before - (used.length === 0 ? 0 : Buffer.byteLength(rule.toString()));
+      }
+    });
+
+    // Eliminar at-rules que quedaron vacías (@media, @supports...)
+    root.walkAtRules(atRule => {
+      if (atRule.nodes && atRule.nodes.length === 0) {
+        atRule.remove();
+      }
+    });
+  }
+
+  isSelectorUsed(selector) {
+    let used = true;
+
+    selectorParser(selectors => {
+      selectors.walk(node => {
+        if (!used || insideTransparentPseudo(node)) return;
+
+        if (node.type === 'class' && !this.usage.classes.has(node.value)) used = false;
+        if (node.type === 'id' && !this.usage.ids.has(node.value)) used = false;
+        if (node.type === 'tag' && !this.usage.tags.has(node.value.toLowerCase())) used = false;
+      });
+    }).processSync(selector);
+
+    return used;
+  }
+}
+
+function insideTransparentPseudo(node) {
+  for (let parent = node.parent; parent; parent = parent.parent) {
+    if (parent.type === 'pseudo' && TRANSPARENT_PSEUDOS.has(parent.value.toLowerCase())) return true;
+  }
+  return false;
+}
+
+function toPosix(file) {
+  return file.split(path.sep).join('/');
+}
+
+export default QuadKernCSSProcessor;
@@ -0,0 +1,129 @@
+/**
+ * QuadKern Data
+ * Carga los datos de contenido (src/data/*.json) y los valida contra su JSON Schema
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Ajv2020 from 'ajv/dist/2020.js';
+
+// Extensión: valores únicos de una propiedad en una lista de objetos ("uniqueKeys": ["id"])
+const UNIQUE_KEYS = {
+  keyword: 'uniqueKeys',
+  type: 'array',
+  schemaType: 'array',
+  errors: true,
+  validate: function uniqueKeys(keys, items, _parentSchema, { instancePath }) {
+    uniqueKeys.errors = keys.flatMap(key => {
+      const seen = new Set();
+      return items.flatMap((item, index) => {
+        const duplicate = item && seen.has(item[key]);
+        seen.add(item && item[key]);
+        return duplicate
+          ? [{ instancePath: `${instancePath}/${index}/${key}`, message: `duplicate value "${item[key]}"`, keyword: 'uniqueKeys', params: { key } }]
+          : [];
+      });
+    });
+    return uniqueKeys.errors.length === 0;
+  }
+};
+
+// Un Ajv por archivo de esquema (ruta → { mtimeMs, ajv }): se compila una vez y solo se
+// reemplaza si el archivo cambia, así --watch no acumula esquemas compilados
+const validators = new Map();
+
+class QuadKernData {
+  /**
+   * @param {object} options
+   * @param {string} options.dataDir - Archivos de datos; cada `nombre.json` queda disponible como `nombre`
+   * @param {string} options.schemasDir - Esquemas `nombre.schema.json` (obligatorio uno por archivo de datos)
+   */
+  constructor(options = {}) {
+    this.dataDir = options.dataDir;
+    this.schemasDir = options.schemasDir;
+  }
+
+  /**
+   * Devuelve { nombre: datos } o lanza un error con todas las violaciones de esquema
+   */
+  load() {
+    if (!fs.existsSync(this.dataDir)) return {};
+
+    const data = {};
+    const errors = [];
+    const files = fs.readdirSync(this.dataDir).filter(file => file.endsWith('.json')).sort();
+
+    for (const file of files) {
+      const name = path.basename(file, '.json');
+      const schemaPath = path.join(this.schemasDir, `${name}.schema.json`);
+
+      if (!fs.existsSync(schemaPath)) {
+        errors.push(`${file}: no schema found (${schemaPath})`);
+        continue;
+      }
+
+      const value = readJSON(path.join(this.dataDir, file));
+      validateSchema(value, schemaPath).forEach(error => errors.push(`${file} ${error}`));
+      data[name] = value;
+    }
+
+    if (errors.length > 0) {
+      errors.forEach(error => console.error(`   ${error}`));
+      throw new Error(`${errors.length} content data error(s) in ${this.dataDir}`);
+    }
+
+    return data;
+  }
+}
+
+/**
+ * Valida un valor contra el esquema de schemaPath (JSON Schema 2020-12, con Ajv); devuelve la lista de errores ("/puntero: mensaje").
+ * Con `fragment` se valida contra una parte del esquema ('#/$defs/organization')
+ */
+export function validateSchema(value, schemaPath, fragment = '') {
+  const validate = getValidator(schemaPath, fragment);
+  return validate(value) ? [] : validate.errors.map(formatError);
+}
+
+function getValidator(schemaPath, fragment) {
+  const { mtimeMs } = fs.statSync(schemaPath);
+  let entry = validators.get(schemaPath);
+
+  if (entry?.mtimeMs !== mtimeMs) {
+    const ajv = new Ajv2020({ allErrors: true });
+    ajv.addKeyword(UNIQUE_KEYS);
+    ajv.addSchema(readJSON(schemaPath), 'schema');
+    entry = { mtimeMs, ajv };
+    validators.set(schemaPath, entry);
+  }
+
+  // getSchema compila cada fragmento una sola vez y lo guarda en la instancia
+  const validate = entry.ajv.getSchema(`schema${fragment}`);
+  if (!validate) throw new Error(`${schemaPath}: no schema at "${fragment}"`);
+  return validate;
+}
+
+function formatError(error) {
+  const at = error.instancePath || '/';
+
+  switch (error.keyword) {
+    case 'additionalProperties':
+      return `${error.instancePath}/${error.params.additionalProperty}: unknown property`;
+    case 'required':
+      return `${at}: missing required property "${error.params.missingProperty}"`;
+    case 'enum':
+      return `${at}: must be one of ${error.params.allowedValues.map(option => JSON.stringify(option)).join(', ')}`;
+    default:
+      return `${at}: ${error.message}`;
+  }
+}
+
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${file}: ${error.message}`);
+  }
+}
+
+export default QuadKernData;
@@ -0,0 +1,176 @@
+/**
+ * QuadKern Asset Fingerprinter
+ * Renombra los assets emitidos con un hash de contenido y reescribe sus referencias
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const BINARY_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.svg', '.ico', '.woff', '.woff2', '.ttf', '.otf'];
+const TEXT_EXTENSIONS = ['.css', '.js'];
+
+export const MANIFEST_FILE = 'asset-manifest.json';
+
+class QuadKernFingerprinter {
+  constructor(outputDir, options = {}) {
+    this.outputDir = outputDir;
+    this.hashLength = options.hashLength || 8;
+  }
+
+  /**
+   * Aplica el fingerprint a los archivos emitidos (rutas relativas a outputDir)
+   * y reescribe las referencias en los HTML indicados. Devuelve el manifest.
+   */
+  run(emittedFiles, htmlFiles) {
+    const manifest = {};
+    const candidates = emittedFiles.filter(file => this.isFingerprintable(file));
+
+    // 1. Assets binarios (no referencian a nadie)
+    const binaries = candidates.filter(file => BINARY_EXTENSIONS.includes(path.extname(file)));
+    for (const file of binaries) {
+      manifest[file] = this.renameWithHash(file, fs.readFileSync(this.resolve(file)));
+    }
+
+    // 2. Assets de texto, ordenados para que las dependencias se hasheen primero
+    const textFiles = this.orderByReferences(candidates.filter(file => !binaries.includes(file)));
+    for (const file of textFiles) {
+      const content = this.rewriteReferences(fs.readFileSync(this.resolve(file), 'utf8'), file, manifest);
+      fs.writeFileSync(this.resolve(file), content);
+      manifest[file] = this.renameWithHash(file, content);
+
+      // El source map acompaña al archivo hasheado (main.<hash>.js.map)
+      if (emittedFiles.includes(`${file}.map`)) {
+        manifest[`${file}.map`] = this.renameSourceMap(file, manifest[file]);
+      }
+    }
+
+    // 3. Documentos HTML (conservan su nombre)
+    for (const file of htmlFiles) {
+      const filePath = this.resolve(file);
+      if (fs.existsSync(filePath)) {
+        const content = fs.readFileSync(filePath, 'utf8');
+        fs.writeFileSync(filePath, this.rewriteReferences(content, file, manifest));
+      }
+    }
+
+    const sortedManifest = Object.fromEntries(
+      Object.keys(manifest).sort().map(key => [key, manifest[key]])
+    );
+    fs.writeFileSync(this.resolve(MANIFEST_FILE), JSON.stringify(sortedManifest, null, 2));
+
+    return sortedManifest;
+  }
+
+  /**
+   * Elimina los archivos hasheados de un build anterior según su manifest
+   */
+  static cleanPrevious(outputDir) {
+    const manifestPath = path.join(outputDir, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) return;
+
+    try {
+      const previous = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+      Object.values(previous).forEach(file => {
+        const filePath = path.join(outputDir, file);
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+        }
+      });
+    } catch (error) {
+      console.warn(`⚠️ Could not read previous ${MANIFEST_FILE}:`, error.message);
+    }
+
+    fs.unlinkSync(manifestPath);
+  }
+
+  isFingerprintable(file) {
+    const extension = path.extname(file);
+    return BINARY_EXTENSIONS.includes(extension) || TEXT_EXTENSIONS.includes(extension);
+  }
+
+  resolve(file) {
+    return path.join(this.outputDir, file);
+  }
+
+  renameWithHash(file, content) {
+    const hash = crypto.createHash('sha256').update(content).digest('hex').slice(0, this.hashLength);
+    const extension = path.extname(file);
+    const hashedFile = `${file.slice(0, -extension.length)}.${hash}${extension}`;
+
+    fs.renameSync(this.resolve(file), this.resolve(hashedFile));
+    return hashedFile;
+  }
+
+  renameSourceMap(file, hashedFile) {
+    const mapFile = `${file}.map`;
+    const hashedMapFile = `${hashedFile}.map`;
+    const map = JSON.parse(fs.readFileSync(this.resolve(mapFile), 'utf8'));
+
+    map.file = path.basename(hashedFile);
+    fs.writeFileSync(this.resolve(hashedMapFile), JSON.stringify(map));
+    fs.unlinkSync(this.resolve(mapFile));
+
+    // Actualizar el comentario sourceMappingURL (no altera el hash del contenido original)
+    const hashedPath = this.resolve(hashedFile);
+    const content = fs.readFileSync(hashedPath, 'utf8').replace(
+      `sourceMappingURL=${path.basename(mapFile)}`,
+      `sourceMappingURL=${path.basename(hashedMapFile)}`
+    );
+    fs.writeFileSync(hashedPath, content);
+
+    return hashedMapFile;
+  }
+
+  /**
+   * Ordena los archivos de texto de forma que un archivo referenciado por otro
+   * se procese antes
+   */
+  orderByReferences(files) {
+    const byType = [...files].sort(
+      (a, b) => TEXT_EXTENSIONS.indexOf(path.extname(a)) - TEXT_EXTENSIONS.indexOf(path.extname(b)) || a.localeCompare(b)
+    );
+    const contents = new Map(byType.map(file => [file, fs.readFileSync(this.resolve(file), 'utf8')]));
+    const ordered = [];
+    const visiting = new Set();
+
+    const visit = (file) => {
+      if (ordered.includes(file) || visiting.has(file)) return;
+      visiting.add(file);
+
+      byType
+        .filter(other => other !== file && contents.get(file).includes(path.basename(other)))
+        .forEach(visit);
+
+      visiting.delete(file);
+      ordered.push(file);
+    };
+
+    byType.forEach(visit);
+    return ordered;
+  }
+
+  /**
+   * Reemplaza las referencias a assets originales por su versión hasheada,
+   * respetando la ruta relativa desde el archivo que las contiene
+   */
+  rewriteReferences(content, fromFile, manifest) {
+    const fromDir = path.posix.dirname(fromFile.split(path.sep).join('/'));
+
+    for (const [original, hashed] of Object.entries(manifest)) {
+      const reference = path.posix.relative(fromDir, original.split(path.sep).join('/'));
+      const replacement = path.posix.relative(fromDir, hashed.split(path.sep).join('/'));
+      const pattern = new RegExp(`(^|[\\s"'(=,])(\\.\\/|\\/)?${escapeRegExp(reference)}(?=[?#"')\\s,]|$)`, 'gm');
+
+      content = content.replace(pattern, (match, delimiter, prefix = '') => `${delimiter}${prefix}${replacement}`);
+    }
+
+    return content;
+  }
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export default QuadKernFingerprinter;
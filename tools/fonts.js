@@ -0,0 +1,166 @@
+/**
+ * QuadKern Font Pipeline
+ * Subsetea las fuentes locales a los glifos usados y genera @font-face + preloads
+ */
+
+import fs from 'fs';
+import path from 'path';
+import subsetFont from 'subset-font';
+import fontverter from 'fontverter';
+import { Blob, Face } from 'harfbuzzjs';
+import * as cheerio from 'cheerio';
+
+// Latín básico y Latin-1: siempre incluidos (el usuario escribe en el formulario)
+const BASE_RANGES = [[0x20, 0x7e], [0xa0, 0xff]];
+
+// Hojas de estilo y preconnects de fuentes externas que dejan de ser necesarias
+const EXTERNAL_FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+class QuadKernFonts {
+  /**
+   * @param {object} options
+   * @param {Array<{family: string, file: string, weight?: number|string, style?: string, preload?: boolean}>} options.fonts
+   *   Fuentes locales, con `file` relativo a publicDir y a outputDir
+   * @param {boolean} options.subset - Reducir las fuentes a los glifos usados
+   */
+  constructor(options = {}) {
+    this.fonts = options.fonts || [];
+    this.subset = options.subset !== false;
+    // Code points que cubre cada fuente emitida (base del unicode-range)
+    this.coverage = {};
+  }
+
+  /**
+   * Caracteres visibles en el documento: texto y atributos que se muestran
+   */
+  collectText(html, extraText = '') {
+    const $ = cheerio.load(html);
+    $('script, style, noscript').remove();
+
+    let text = $('body').text() + $('title').text() + extraText;
+    $('[alt], [placeholder], [title], [aria-label], [value]').each((_, element) => {
+      ['alt', 'placeholder', 'title', 'aria-label', 'value'].forEach(attribute => {
+        text += $(element).attr(attribute) || '';
+      });
+    });
+
+    const codePoints = new Set();
+    BASE_RANGES.forEach(([start, end]) => {
+      for (let code = start; code <= end; code++) codePoints.add(code);
+    });
+    for (const char of text) {
+      if (!/\s/.test(char)) codePoints.add(char.codePointAt(0));
+    }
+
+    return [...codePoints].sort((a, b) => a - b);
+  }
+
+  /**
+   * Escribe las fuentes (subseteadas) en outputDir y devuelve el reporte por archivo
+   */
+  async build(sourceDir, outputDir, codePoints) {
+    const text = String.fromCodePoint(...codePoints);
+    const report = {};
+
+    for (const font of this.fonts) {
+      const sourcePath = path.join(sourceDir, font.file);
+      const outputPath = path.join(outputDir, font.file);
+
+      if (!fs.existsSync(sourcePath)) {
+        throw new Error(`Font file not found: ${sourcePath}`);
+      }
+
+      const original = fs.readFileSync(sourcePath);
+      const output = this.subset
+        ? await subsetFont(original, text, { targetFormat: 'woff2' })
+        : original;
+
+      fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+      fs.writeFileSync(outputPath, output);
+
+      // El subset solo conserva los caracteres pedidos que la fuente realmente tiene
+      this.coverage[font.file] = readCodePoints(await fontverter.convert(output, 'sfnt'));
+
+      report[font.file] = {
+        family: font.family,
+        bytesBefore: original.length,
+        bytesAfter: output.length,
+        codePoints: this.coverage[font.file].length
+      };
+    }
+
+    return report;
+  }
+
+  fontFaceCSS() {
+    return this.fonts.map(font => [
+      '@font-face{',
+      `font-family:"${font.family}";`,
+      `src:url("./${font.file}") format("woff2");`,
+      `font-weight:${font.weight || 400};`,
+      `font-style:${font.style || 'normal'};`,
+      'font-display:swap;',
+      this.subset ? `unicode-range:${toUnicodeRange(this.coverage[font.file])};` : '',
+      '}'
+    ].join('')).join('');
+  }
+
+  /**
+   * Inyecta @font-face y preloads en <head> y elimina los links a fuentes externas
+   */
+  inject(html) {
+    const $ = cheerio.load(html);
+    const removed = [];
+
+    // Idempotente: limpiar lo inyectado en una ejecución anterior
+    $('style[data-fonts], link[data-fonts]').remove();
+
+    $('link[href]').each((_, element) => {
+      const href = $(element).attr('href');
+      if (EXTERNAL_FONT_HOSTS.some(host => href.includes(host))) {
+        removed.push(href);
+        $(element).remove();
+      }
+    });
+
+    const preloads = this.fonts
+      .filter(font => font.preload)
+      .map(font => `<link data-fonts rel="preload" href="./${font.file}" as="font" type="font/woff2" crossorigin>`)
+      .join('');
+
+    $('head').prepend(`${preloads}<style data-fonts>${this.fontFaceCSS()}</style>`);
+    // <base> va antes que cualquier URL relativa, incluidas las de los preloads
+    $('head base').prependTo($('head'));
+    $('head meta[charset]').prependTo($('head'));
+
+    return { html: $.html(), removed };
+  }
+}
+
+/**
+ * Code points que mapea la tabla cmap de una fuente sfnt (HarfBuzz, el mismo motor que usa subset-font)
+ */
+function readCodePoints(font) {
+  const face = new Face(new Blob(font));
+  return [...face.collectUnicodes()].sort((a, b) => a - b);
+}
+
+function toUnicodeRange(codePoints) {
+  const ranges = [];
+  let start = codePoints[0];
+  let previous = start;
+
+  for (const code of codePoints.slice(1).concat(Infinity)) {
+    if (code === previous + 1) {
+      previous = code;
+      continue;
+    }
+    const format = value => value.toString(16).toUpperCase();
+    ranges.push(start === previous ? `U+${format(start)}` : `U+${format(start)}-${format(previous)}`);
+    start = previous = code;
+  }
+
+  return ranges.join(',');
+}
+
+export default QuadKernFonts;
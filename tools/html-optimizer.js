@@ -0,0 +1,137 @@
+/**
+ * QuadKern HTML Optimizer
+ * Optimiza el HTML sobre el árbol del documento (no sobre el texto plano)
+ */
+
+import * as cheerio from 'cheerio';
+
+// Elementos cuyo contenido se respeta tal cual
+const PRESERVE_WHITESPACE = new Set(['pre', 'textarea', 'script', 'style', 'code']);
+
+// Elementos donde el espacio entre hijos no es significativo
+const WHITESPACE_INSENSITIVE = new Set([
+  'html', 'head', 'ul', 'ol', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'select', 'svg', 'g', 'defs', 'symbol', 'pattern'
+]);
+
+const BLOCK_ELEMENTS = new Set([
+  'html', 'head', 'body', 'title', 'meta', 'link', 'script', 'style', 'noscript', 'template',
+  'div', 'header', 'footer', 'main', 'section', 'article', 'aside', 'nav', 'form', 'fieldset',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'blockquote',
+  'figure', 'figcaption', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th', 'hr', 'br', 'pre'
+]);
+
+class QuadKernHTMLOptimizer {
+  /**
+   * @param {object} options
+   * @param {boolean} options.minify - Colapsar espacios y eliminar comentarios
+   */
+  constructor(options = {}) {
+    this.minify = options.minify !== false;
+  }
+
+  optimize(html) {
+    const $ = cheerio.load(html);
+    const report = {
+      bytesBefore: Buffer.byteLength(html),
+      bytesAfter: 0,
+      commentsRemoved: 0,
+      whitespaceNodesRemoved: 0,
+      normalizedPaths: 0
+    };
+
+    this.normalizeLocalPaths($, report);
+
+    if (this.minify) {
+      this.minifyNode($, $.root()[0], false, report);
+    }
+
+    const output = $.html();
+    report.bytesAfter = Buffer.byteLength(output);
+
+    return { html: output, report };
+  }
+
+  /**
+   * Convierte las rutas absolutas de las fuentes (/public/..., /...) en rutas relativas de docs/
+   */
+  normalizeLocalPaths($, report) {
+    // <base href="/"> (404.html) es la raíz desde la que se resuelve el resto, no un asset
+    $('[src], [href]').not('base').each((_, element) => {
+      ['src', 'href'].forEach(attribute => {
+        const value = $(element).attr(attribute);
+        if (!value) return;
+
+        const normalized = value.replace(/^\.?\/(?:public\/)?(?!\/)/, './');
+        if (normalized !== value) {
+          $(element).attr(attribute, normalized);
+          report.normalizedPaths++;
+        }
+      });
+    });
+  }
+
+  minifyNode($, node, preserve, report) {
+    // Primero los comentarios, para que no separen nodos de texto contiguos
+    for (const child of [...(node.children || [])]) {
+      if (child.type === 'comment') {
+        $(child).remove();
+        report.commentsRemoved++;
+      }
+    }
+    mergeAdjacentText($, node);
+
+    for (const child of [...(node.children || [])]) {
+      if (child.type === 'text') {
+        if (!preserve) {
+          this.collapseText($, child, node, report);
+        }
+        continue;
+      }
+
+      if (child.children) {
+        this.minifyNode($, child, preserve || PRESERVE_WHITESPACE.has(child.name), report);
+      }
+    }
+  }
+
+  collapseText($, textNode, parent, report) {
+    let text = textNode.data.replace(/\s+/g, ' ');
+    const { prev, next } = textNode;
+
+    if (text === ' ') {
+      const insensitive = WHITESPACE_INSENSITIVE.has(parent.name) || parent.type === 'root';
+      if (insensitive || (isBlockBoundary(prev, parent) && isBlockBoundary(next, parent))) {
+        $(textNode).remove();
+        report.whitespaceNodesRemoved++;
+        return;
+      }
+    }
+
+    if (isBlockBoundary(prev, parent)) text = text.trimStart();
+    if (isBlockBoundary(next, parent)) text = text.trimEnd();
+
+    textNode.data = text;
+  }
+}
+
+function mergeAdjacentText($, node) {
+  for (const child of [...(node.children || [])]) {
+    const previous = child.prev;
+    if (child.type === 'text' && previous && previous.type === 'text') {
+      previous.data += child.data;
+      $(child).remove();
+    }
+  }
+}
+
+/**
+ * Un hermano de bloque (o el borde de un padre de bloque) vuelve irrelevante el espacio
+ */
+function isBlockBoundary(sibling, parent) {
+  if (!sibling) {
+    return parent.type === 'root' || BLOCK_ELEMENTS.has(parent.name);
+  }
+  return sibling.type !== 'text' && BLOCK_ELEMENTS.has(sibling.name);
+}
+
+export default QuadKernHTMLOptimizer;
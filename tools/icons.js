@@ -0,0 +1,109 @@
+/**
+ * QuadKern Icons
+ * Reúne los SVG de src/icons en un sprite de <symbol> que cada página incluye inline
+ * con solo los íconos que referencia (<svg><use href="#icon-nombre"></use></svg>)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import * as cheerio from 'cheerio';
+import { optimize as optimizeSVG } from 'svgo';
+
+// Atributos del <svg> raíz que no tienen sentido en un <symbol>
+const ROOT_ONLY_ATTRIBUTES = ['xmlns', 'xmlns:xlink', 'width', 'height', 'x', 'y', 'id', 'class', 'style', 'role', 'version', 'focusable', 'aria-hidden', 'aria-label'];
+
+class QuadKernIcons {
+  /**
+   * @param {object} options
+   * @param {string} options.iconsDir - Directorio con un .svg por ícono (el nombre del archivo es el del ícono)
+   * @param {string} options.prefix - Prefijo de los ids de los símbolos
+   */
+  constructor(options = {}) {
+    this.iconsDir = options.iconsDir;
+    this.prefix = options.prefix || 'icon-';
+    this.icons = null;
+  }
+
+  /**
+   * Optimiza cada ícono con svgo y lo convierte en <symbol> (una sola vez por instancia)
+   * @returns {Map<string, { symbol: string, bytesBefore: number, bytesAfter: number }>}
+   */
+  load() {
+    if (this.icons) return this.icons;
+
+    this.icons = new Map();
+    if (!fs.existsSync(this.iconsDir)) return this.icons;
+
+    const files = fs.readdirSync(this.iconsDir).filter(file => file.endsWith('.svg')).sort();
+    for (const file of files) {
+      const name = path.basename(file, '.svg');
+      const input = fs.readFileSync(path.join(this.iconsDir, file), 'utf8');
+      const { data } = optimizeSVG(input, {
+        path: file,
+        multipass: true,
+        // Los ids internos (gradientes, clipPath) no pueden chocar entre íconos del mismo sprite
+        plugins: ['preset-default', { name: 'prefixIds', params: { prefix: `${this.prefix}${name}`, delim: '-' } }]
+      });
+
+      const symbol = this.toSymbol(name, data);
+      this.icons.set(name, {
+        symbol,
+        bytesBefore: Buffer.byteLength(input),
+        bytesAfter: Buffer.byteLength(symbol)
+      });
+    }
+
+    return this.icons;
+  }
+
+  toSymbol(name, svg) {
+    const $ = cheerio.load(svg, { xml: true });
+    const root = $('svg').first();
+    if (root.length === 0) {
+      throw new Error(`${path.join(this.iconsDir, `${name}.svg`)} has no <svg> root`);
+    }
+    if (!root.attr('viewBox')) {
+      console.warn(`⚠️ Icon ${name} has no viewBox: it will not scale with the size of the <svg> that uses it`);
+    }
+
+    const attributes = Object.entries(root.attr())
+      .filter(([attribute]) => !ROOT_ONLY_ATTRIBUTES.includes(attribute))
+      .map(([attribute, value]) => ` ${attribute}="${value.replace(/"/g, '&quot;')}"`)
+      .join('');
+
+    return `<symbol id="${this.prefix}${name}"${attributes}>${root.html()}</symbol>`;
+  }
+
+  /**
+   * Inserta al inicio del <body> el sprite con los íconos que usa la página
+   * @returns {{ html: string, used: string[], missing: string[] }}
+   */
+  inject(html) {
+    const icons = this.load();
+    const $ = cheerio.load(html);
+    const used = new Set();
+
+    $('use').each((_, node) => {
+      const reference = $(node).attr('href') || $(node).attr('xlink:href') || '';
+      if (reference.startsWith(`#${this.prefix}`)) {
+        used.add(reference.slice(this.prefix.length + 1));
+      }
+    });
+
+    $('svg[data-icon-sprite]').remove();
+
+    const names = [...used].sort();
+    const missing = names.filter(name => !icons.has(name));
+    const symbols = names.filter(name => icons.has(name)).map(name => icons.get(name).symbol);
+
+    if (symbols.length > 0) {
+      $('body').prepend(
+        `<svg data-icon-sprite xmlns="http://www.w3.org/2000/svg" aria-hidden="true" focusable="false" width="0" height="0" style="position:absolute">${symbols.join('')}</svg>`
+      );
+    }
+
+    return { html: $.html(), used: names, missing };
+  }
+}
+
+export default QuadKernIcons;
@@ -0,0 +1,229 @@
+/**
+ * QuadKern Image Pipeline
+ * Genera variantes responsive (anchos y formatos modernos), optimiza SVG
+ * y reescribe <img> y fondos CSS con srcset/image-set y dimensiones intrínsecas
+ */
+
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { optimize as optimizeSVG } from 'svgo';
+import postcss from 'postcss';
+import * as cheerio from 'cheerio';
+
+const MIME_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  png: 'image/png',
+  jpeg: 'image/jpeg'
+};
+
+// Calidad por formato: AVIF rinde igual con un valor nominal menor
+const QUALITY = { avif: 55, webp: 78, jpeg: 80 };
+
+class QuadKernImages {
+  /**
+   * @param {object} options
+   * @param {number[]} options.widths - Anchos (px) a generar para cada imagen raster
+   * @param {string[]} options.formats - Formatos modernos además del original ('avif', 'webp')
+   * @param {object} options.sizes - Atributo `sizes` por imagen (nombre lógico → valor)
+   */
+  constructor(options = {}) {
+    this.widths = options.widths || [320, 640, 960];
+    this.formats = options.formats || ['avif', 'webp'];
+    this.sizes = options.sizes || {};
+    // Imagen lógica → { width, height, format, variants: [{ file, width, format, bytes }] }
+    this.images = {};
+  }
+
+  static isSVG(file) {
+    return path.extname(file).toLowerCase() === '.svg';
+  }
+
+  /**
+   * Optimiza la imagen original y genera sus variantes en outputDir
+   */
+  async processRaster(sourceDir, outputDir, file) {
+    const input = fs.readFileSync(path.join(sourceDir, file));
+    const metadata = await sharp(input).metadata();
+    const format = metadata.format === 'jpg' ? 'jpeg' : metadata.format;
+    const { dir, name } = path.posix.parse(file);
+
+    // Original recomprimido sin pérdida; se conserva el archivo fuente si no mejora
+    const optimized = await encode(sharp(input), format);
+    const original = optimized.length < input.length ? optimized : input;
+    writeFile(path.join(outputDir, file), original);
+
+    const widths = [...new Set(this.widths.filter(width => width < metadata.width))].sort((a, b) => a - b);
+    const variants = [];
+
+    // El formato original queda como fallback único para navegadores sin AVIF/WebP
+    for (const targetFormat of this.formats.filter(modern => modern !== format)) {
+      for (const width of widths) {
+        const variant = path.posix.join(dir, `${name}-${width}w.${extensionFor(targetFormat)}`);
+        const output = await encode(sharp(input).resize({ width }), targetFormat);
+        writeFile(path.join(outputDir, variant), output);
+        variants.push({ file: variant, width, format: targetFormat, bytes: output.length });
+      }
+
+      const variant = path.posix.join(dir, `${name}.${extensionFor(targetFormat)}`);
+      const output = await encode(sharp(input), targetFormat);
+      writeFile(path.join(outputDir, variant), output);
+      variants.push({ file: variant, width: metadata.width, format: targetFormat, bytes: output.length });
+    }
+
+    this.images[file] = { width: metadata.width, height: metadata.height, format, variants };
+
+    return {
+      bytesBefore: input.length,
+      bytesAfter: original.length,
+      variants: variants.map(({ file: variant, bytes }) => ({ file: variant, bytes }))
+    };
+  }
+
+  /**
+   * Optimiza un SVG con svgo y registra sus dimensiones intrínsecas
+   */
+  processSVG(sourceDir, outputDir, file) {
+    const input = fs.readFileSync(path.join(sourceDir, file), 'utf8');
+    const { data } = optimizeSVG(input, { path: file, multipass: true });
+    writeFile(path.join(outputDir, file), data);
+
+    const dimensions = readSVGDimensions(data);
+    if (dimensions) {
+      this.images[file] = { ...dimensions, format: 'svg', variants: [] };
+    }
+
+    return { bytesBefore: Buffer.byteLength(input), bytesAfter: Buffer.byteLength(data), variants: [] };
+  }
+
+  /**
+   * Añade srcset/<picture> y width/height a los <img> que apuntan a imágenes procesadas
+   */
+  rewriteHTML(html) {
+    const $ = cheerio.load(html);
+    const rewritten = [];
+
+    $('img[src]').each((_, element) => {
+      const img = $(element);
+      const file = toLogicalPath(img.attr('src'));
+      const image = this.images[file];
+      if (!image) return;
+
+      // Reservar espacio: el navegador calcula la proporción antes de descargar
+      if (!img.attr('width') && !img.attr('height')) {
+        img.attr('width', String(image.width));
+        img.attr('height', String(image.height));
+      }
+      if (!img.attr('decoding')) img.attr('decoding', 'async');
+
+      if (image.variants.length === 0 || img.parent().is('picture')) {
+        rewritten.push(file);
+        return;
+      }
+
+      const sizes = this.sizes[file] || '100vw';
+      const sources = this.formats
+        .filter(format => format !== image.format)
+        .map(format => `<source type="${MIME_TYPES[format]}" srcset="${this.srcset(image, format)}" sizes="${sizes}">`)
+        .join('');
+      img.wrap('<picture></picture>');
+      img.before(sources);
+
+      rewritten.push(file);
+    });
+
+    return { html: rewritten.length > 0 ? $.html() : html, rewritten };
+  }
+
+  /**
+   * Añade un `image-set()` tras cada fondo CSS que usa una imagen raster procesada
+   */
+  rewriteCSS(css, cssFile) {
+    const root = postcss.parse(css);
+    const rewritten = [];
+
+    root.walkDecls(/^background(-image)?$/i, decl => {
+      const match = decl.value.match(/url\(\s*['"]?([^'")]+)['"]?\s*\)/);
+      if (!match) return;
+
+      const file = path.posix.join(path.posix.dirname(cssFile), toLogicalPath(match[1]));
+      const image = this.images[file];
+      if (!image || image.variants.length === 0) return;
+
+      const relative = (variant) => path.posix.relative(path.posix.dirname(cssFile), variant);
+      const candidates = image.variants
+        .filter(variant => variant.width === image.width)
+        .map(variant => `url("${relative(variant.file)}") type("${MIME_TYPES[variant.format]}")`)
+        .concat(`url("${relative(file)}") type("${MIME_TYPES[image.format]}")`);
+
+      // El navegador sin image-set() conserva la declaración original
+      const next = decl.next();
+      if (next && next.type === 'decl' && next.prop === 'background-image' && next.value.startsWith('image-set(')) return;
+      decl.after({ prop: 'background-image', value: `image-set(${candidates.join(', ')})` });
+      rewritten.push(file);
+    });
+
+    return { css: rewritten.length > 0 ? root.toString() : css, rewritten };
+  }
+
+  srcset(image, format) {
+    return image.variants
+      .filter(variant => variant.format === format)
+      .sort((a, b) => a.width - b.width)
+      .map(variant => `./${variant.file} ${variant.width}w`)
+      .join(', ');
+  }
+}
+
+function encode(pipeline, format) {
+  switch (format) {
+    case 'avif':
+      return pipeline.avif({ quality: QUALITY.avif, effort: 4 }).toBuffer();
+    case 'webp':
+      return pipeline.webp({ quality: QUALITY.webp, alphaQuality: 90 }).toBuffer();
+    case 'jpeg':
+      return pipeline.jpeg({ quality: QUALITY.jpeg, mozjpeg: true }).toBuffer();
+    case 'png':
+      return pipeline.png({ compressionLevel: 9, adaptiveFiltering: true }).toBuffer();
+    default:
+      throw new Error(`Unsupported image format: ${format}`);
+  }
+}
+
+function extensionFor(format) {
+  return format === 'jpeg' ? 'jpg' : format;
+}
+
+function writeFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+
+/**
+ * Ruta relativa a la raíz del sitio, sin ./, / ni query string
+ */
+function toLogicalPath(reference) {
+  return reference.split(/[?#]/)[0].replace(/^\.?\//, '');
+}
+
+function readSVGDimensions(svg) {
+  const $ = cheerio.load(svg, { xml: true });
+  const root = $('svg').first();
+  const pixels = (value) => (/^\d+(\.\d+)?(px)?$/.test(value || '') ? Math.round(parseFloat(value)) : null);
+  const width = pixels(root.attr('width'));
+  const height = pixels(root.attr('height'));
+
+  if (width && height) {
+    return { width, height };
+  }
+
+  const viewBox = (root.attr('viewBox') || '').split(/[\s,]+/).map(Number);
+  if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    return { width: Math.round(viewBox[2]), height: Math.round(viewBox[3]) };
+  }
+
+  return null;
+}
+
+export default QuadKernImages;
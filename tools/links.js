@@ -0,0 +1,206 @@
+/**
+ * QuadKern Link Validator
+ * Verifica en las páginas emitidas que los anclas, enlaces internos y assets locales resuelvan
+ */
+
+import fs from 'fs';
+import path from 'path';
+import * as cheerio from 'cheerio';
+
+// Tipos de problema; la severidad de cada uno se configura en config.links.severity
+export const LINK_ISSUES = {
+  brokenAnchor: 'fragment does not match any id',
+  missingFile: 'local file not found in the output',
+  placeholder: 'placeholder link',
+  missingSection: 'navigation section missing'
+};
+
+// Atributos que referencian otros archivos o anclas
+const REFERENCES = [
+  { selector: 'a[href]', attribute: 'href' },
+  { selector: 'link[href]', attribute: 'href' },
+  { selector: 'script[src]', attribute: 'src' },
+  { selector: 'img[src]', attribute: 'src' },
+  { selector: 'img[srcset]', attribute: 'srcset' },
+  { selector: 'source[src]', attribute: 'src' },
+  { selector: 'source[srcset]', attribute: 'srcset' },
+  { selector: 'video[src], audio[src], iframe[src]', attribute: 'src' },
+  { selector: 'video[poster]', attribute: 'poster' }
+];
+
+// Enlaces sin destino real: los deja una maqueta a medio terminar
+const PLACEHOLDERS = ['', '#', 'javascript:void(0)', 'javascript:;'];
+
+// Esquemas y referencias que no apuntan a la salida del build
+const EXTERNAL = /^([a-z][a-z0-9+.-]*:|\/\/)/i;
+
+class QuadKernLinkValidator {
+  /**
+   * @param {object} options
+   * @param {string} options.outputDir - Directorio con el sitio construido
+   * @param {string[]} options.sections - ids que QuadKernNavigation espera encontrar
+   * @param {string} options.sectionsPage - Página que debe contener esas secciones
+   * @param {object} options.severity - Tipo de problema (LINK_ISSUES) → 'error' | 'warn' | 'off'
+   */
+  constructor(options = {}) {
+    this.outputDir = options.outputDir;
+    this.sections = options.sections || [];
+    this.sectionsPage = options.sectionsPage || 'index.html';
+    this.severity = options.severity || {};
+    // Página → Set de ids (se parsea una sola vez aunque varias páginas la enlacen)
+    this.ids = new Map();
+  }
+
+  /**
+   * Valida las páginas indicadas (rutas relativas a outputDir)
+   * @returns {{ pages: object, errors: object[], warnings: object[] }}
+   */
+  validate(pages) {
+    const report = { pages: {}, errors: [], warnings: [] };
+    const record = (page, type, target, element) => {
+      const level = this.severity[type] || 'error';
+      if (level === 'off') return;
+
+      const issue = { page, type, target, element, message: LINK_ISSUES[type] };
+      (level === 'warn' ? report.warnings : report.errors).push(issue);
+      report.pages[page][level === 'warn' ? 'warnings' : 'errors']++;
+    };
+
+    for (const page of pages) {
+      const $ = cheerio.load(fs.readFileSync(this.resolve(page), 'utf8'));
+      report.pages[page] = { links: 0, errors: 0, warnings: 0 };
+
+      for (const { selector, attribute } of REFERENCES) {
+        $(selector).each((_, node) => {
+          const element = describe($(node));
+          const value = $(node).attr(attribute).trim();
+          const targets = attribute === 'srcset' ? parseSrcset(value) : [value];
+
+          targets.forEach(target => {
+            report.pages[page].links++;
+            const type = this.check(page, target, node.tagName);
+            if (type) record(page, type, target, element);
+          });
+        });
+      }
+
+      $('[style*="url("]').each((_, node) => {
+        for (const [, target] of $(node).attr('style').matchAll(/url\(\s*['"]?([^'")]+)['"]?\s*\)/g)) {
+          report.pages[page].links++;
+          const type = this.check(page, target, 'style');
+          if (type) record(page, type, target, describe($(node)));
+        }
+      });
+
+      if (page === this.sectionsPage) {
+        const ids = this.getIds(page);
+        this.sections
+          .filter(id => !ids.has(id))
+          .forEach(id => record(page, 'missingSection', `#${id}`, 'QuadKernNavigation'));
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Devuelve el tipo de problema de una referencia o null si resuelve
+   */
+  check(page, target, tagName) {
+    if (PLACEHOLDERS.includes(target.toLowerCase())) {
+      // Solo un enlace navegable puede ser un placeholder; <link href=""> ya es un archivo inexistente
+      return tagName === 'a' ? 'placeholder' : 'missingFile';
+    }
+    if (EXTERNAL.test(target)) return null;
+
+    const [reference, fragment] = splitFragment(target);
+
+    let file = page;
+    if (reference) {
+      file = this.resolveReference(page, reference);
+      if (!file) return 'missingFile';
+    }
+
+    if (fragment === null || !file.endsWith('.html')) return null;
+    // #top desplaza al inicio aunque no exista el id
+    if (fragment === '' || fragment.toLowerCase() === 'top') return null;
+
+    return this.getIds(file).has(safeDecode(fragment)) ? null : 'brokenAnchor';
+  }
+
+  /**
+   * Archivo de la salida al que apunta una referencia local, o null si no existe
+   */
+  resolveReference(page, reference) {
+    const decoded = safeDecode(reference);
+    // GitHub Pages sirve la raíz del dominio como raíz del sitio (CNAME)
+    const base = decoded.startsWith('/') ? '' : path.posix.dirname(page);
+    let file = path.posix.normalize(path.posix.join(base, decoded)).replace(/^\/+/, '');
+    if (file.startsWith('..')) return null;
+
+    if (file === '.' || decoded.endsWith('/')) {
+      file = path.posix.join(file === '.' ? '' : file, 'index.html');
+    }
+
+    const filePath = this.resolve(file);
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+      const index = path.posix.join(file, 'index.html');
+      return fs.existsSync(this.resolve(index)) ? index : null;
+    }
+
+    return fs.existsSync(filePath) ? file : null;
+  }
+
+  getIds(page) {
+    if (!this.ids.has(page)) {
+      const $ = cheerio.load(fs.readFileSync(this.resolve(page), 'utf8'));
+      const ids = new Set();
+      $('[id]').each((_, node) => ids.add($(node).attr('id')));
+      $('a[name]').each((_, node) => ids.add($(node).attr('name')));
+      this.ids.set(page, ids);
+    }
+    return this.ids.get(page);
+  }
+
+  resolve(file) {
+    return path.join(this.outputDir, file);
+  }
+}
+
+/**
+ * Separa "ruta?query#ancla" en [ruta, ancla]; el ancla es null si no hay '#'
+ */
+function splitFragment(target) {
+  const hashIndex = target.indexOf('#');
+  const withoutFragment = hashIndex === -1 ? target : target.slice(0, hashIndex);
+  const fragment = hashIndex === -1 ? null : target.slice(hashIndex + 1);
+  return [withoutFragment.split('?')[0], fragment];
+}
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    // Una secuencia % inválida se busca tal cual
+    return value;
+  }
+}
+
+function parseSrcset(srcset) {
+  return srcset
+    .split(',')
+    .map(candidate => candidate.trim().split(/\s+/)[0])
+    .filter(Boolean);
+}
+
+/**
+ * Descripción corta del elemento para el reporte: <a class="...">texto</a> → a "texto"
+ */
+function describe(element) {
+  const tag = element.prop('tagName').toLowerCase();
+  const text = element.text().replace(/\s+/g, ' ').trim().slice(0, 40);
+  const label = text || element.attr('aria-label') || element.find('[data-icon]').attr('data-icon') || '';
+  return label ? `${tag} "${label}"` : tag;
+}
+
+export default QuadKernLinkValidator;
@@ -0,0 +1,227 @@
+/**
+ * QuadKern Pages
+ * Renderiza las páginas de src/pages con su layout, partials y front-matter
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Campos de front-matter que toda página debería declarar
+const REQUIRED_FIELDS = ['title', 'description'];
+
+// {{> partial }}, {{{ variable sin escapar }}} y {{ variable }}
+const TAG = /\{\{>\s*([\w-]+)\s*\}\}|\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+
+// Bloques {{#each lista}} ... {{/each}} (anidables)
+const EACH_TAG = /\{\{#each\s+([\w.]+)\s*\}\}|\{\{\/each\s*\}\}/g;
+
+class QuadKernPages {
+  /**
+   * @param {object} options
+   * @param {string} options.pagesDir - Páginas (un .html por página, con front-matter opcional)
+   * @param {string} options.partialsDir - Fragmentos reutilizables, incluidos con {{> nombre }}
+   * @param {string} options.layoutsDir - Layouts; la página se inserta en {{{ content }}}
+   * @param {object} options.data - Datos globales disponibles en todas las páginas (services, team...)
+   */
+  constructor(options = {}) {
+    this.pagesDir = options.pagesDir;
+    this.partialsDir = options.partialsDir;
+    this.layoutsDir = options.layoutsDir;
+    this.data = options.data || {};
+    this.publishedPages = null;
+  }
+
+  /**
+   * Páginas a renderizar, relativas a pagesDir
+   */
+  list() {
+    if (!fs.existsSync(this.pagesDir)) return [];
+
+    return fs.readdirSync(this.pagesDir, { withFileTypes: true })
+      .filter(entry => entry.isFile() && entry.name.endsWith('.html'))
+      .map(entry => entry.name)
+      .sort();
+  }
+
+  /**
+   * Páginas publicadas además de la home (sin `sitemap: false`), para listarlas en las plantillas
+   * @returns {{ file: string, name: string, title: string, href: string }[]}
+   */
+  published() {
+    if (this.publishedPages === null) {
+      this.publishedPages = this.list()
+        .filter(file => file !== 'index.html')
+        .map(file => ({ file, data: parseFrontMatter(fs.readFileSync(path.join(this.pagesDir, file), 'utf8'), file).data }))
+        .filter(({ data }) => data.sitemap !== 'false')
+        .map(({ file, data }) => ({
+          file,
+          name: file.replace(/\.html$/, ''),
+          title: data.title || file,
+          href: `./${file}`
+        }));
+    }
+    return this.publishedPages;
+  }
+
+  /**
+   * Renderiza una página; devuelve el HTML completo, su front-matter y los avisos
+   */
+  render(file) {
+    const source = fs.readFileSync(path.join(this.pagesDir, file), 'utf8');
+    const { data, body } = parseFrontMatter(source, file);
+    const warnings = REQUIRED_FIELDS
+      .filter(field => !data[field])
+      .map(field => `missing front-matter field "${field}"`);
+
+    const context = {
+      ...this.data,
+      ...data,
+      page: file,
+      pages: this.published(),
+      // Prefijo de los enlaces a secciones de la home (#servicios, #contacto...)
+      home: file === 'index.html' ? '' : './'
+    };
+
+    const content = this.renderTemplate(body, context, [file], warnings);
+    const layoutName = data.layout || 'default';
+    const layoutPath = path.join(this.layoutsDir, `${layoutName}.html`);
+
+    if (!fs.existsSync(layoutPath)) {
+      throw new Error(`Layout "${layoutName}" not found for ${file} (${layoutPath})`);
+    }
+
+    let html = this.renderTemplate(
+      fs.readFileSync(layoutPath, 'utf8'),
+      { ...context, content },
+      [`layouts/${layoutName}.html`],
+      warnings
+    );
+
+    // `base: /` resuelve las rutas relativas desde la raíz aunque la página se sirva en otra ruta (404.html)
+    if (data.base) {
+      html = html.replace(/<head(\s[^>]*)?>/i, head => `${head}\n  <base href="${escapeHTML(data.base)}" />`);
+    }
+
+    return { html, data, warnings };
+  }
+
+  renderTemplate(template, context, stack, warnings) {
+    const block = findEachBlock(template, stack);
+    if (!block) return this.renderTags(template, context, stack, warnings);
+
+    const items = resolve(block.key, context);
+    if (!Array.isArray(items)) {
+      throw new Error(`{{#each ${block.key}}} expects a list in ${stack[stack.length - 1]}`);
+    }
+
+    // Cada elemento ve sus campos además del contexto exterior; {{ this }} es el elemento
+    const rendered = items.map(item => {
+      const itemContext = item !== null && typeof item === 'object' ? { ...context, ...item } : { ...context };
+      return this.renderTemplate(block.body, { ...itemContext, this: item }, stack, warnings);
+    }).join('');
+
+    return this.renderTags(template.slice(0, block.start), context, stack, warnings)
+      + rendered
+      + this.renderTemplate(template.slice(block.end), context, stack, warnings);
+  }
+
+  renderTags(template, context, stack, warnings) {
+    const lookup = (key) => {
+      const value = resolve(key, context);
+      if (value === undefined) {
+        // Los campos obligatorios ausentes ya se avisaron al leer el front-matter
+        if (!REQUIRED_FIELDS.includes(key)) {
+          warnings.push(`undefined variable "${key}" in ${stack[stack.length - 1]}`);
+        }
+        return '';
+      }
+      return String(value);
+    };
+
+    // Una sola pasada: el contenido insertado no se vuelve a interpretar
+    return template.replace(TAG, (_, partial, raw, escaped) => {
+      if (raw) return lookup(raw);
+      if (escaped) return escapeHTML(lookup(escaped));
+
+      const partialPath = path.join(this.partialsDir, `${partial}.html`);
+      if (stack.includes(partial)) {
+        throw new Error(`Circular partial include: ${[...stack, partial].join(' → ')}`);
+      }
+      if (!fs.existsSync(partialPath)) {
+        throw new Error(`Partial "${partial}" not found (included from ${stack[stack.length - 1]})`);
+      }
+
+      return this.renderTemplate(fs.readFileSync(partialPath, 'utf8'), context, [...stack, partial], warnings);
+    });
+  }
+}
+
+/**
+ * Primer bloque {{#each}} de nivel superior con su cierre correspondiente
+ */
+function findEachBlock(template, stack) {
+  let depth = 0;
+  let open = null;
+
+  for (const match of template.matchAll(EACH_TAG)) {
+    if (match[1]) {
+      if (depth === 0) open = match;
+      depth++;
+      continue;
+    }
+
+    if (depth === 0) {
+      throw new Error(`Unexpected {{/each}} in ${stack[stack.length - 1]}`);
+    }
+    depth--;
+    if (depth === 0) {
+      return {
+        key: open[1],
+        start: open.index,
+        body: template.slice(open.index + open[0].length, match.index),
+        end: match.index + match[0].length
+      };
+    }
+  }
+
+  if (open) {
+    throw new Error(`Unclosed {{#each ${open[1]}}} in ${stack[stack.length - 1]}`);
+  }
+  return null;
+}
+
+function resolve(key, context) {
+  return key.split('.').reduce((object, part) => (object == null ? undefined : object[part]), context);
+}
+
+/**
+ * Front-matter entre líneas `---`: pares `clave: valor` de una línea
+ */
+function parseFrontMatter(source, file) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { data: {}, body: source };
+
+  const data = {};
+  match[1].split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const pair = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (!pair) {
+      throw new Error(`Invalid front-matter in ${file} at line ${index + 2}: ${line}`);
+    }
+    data[pair[1]] = pair[2].trim().replace(/^(['"])(.*)\1$/, '$2');
+  });
+
+  return { data, body: source.slice(match[0].length) };
+}
+
+function escapeHTML(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export default QuadKernPages;
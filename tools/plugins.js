@@ -0,0 +1,106 @@
+/**
+ * QuadKern Plugins
+ * Ejecuta los hooks de los plugins (declarados en quadkern.config.js) alrededor de cada etapa
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CONFIG_FILES } from './config.js';
+
+// Hooks que puede implementar un plugin (todos opcionales, pueden ser async)
+const HOOKS = ['buildStart', 'beforeStage', 'afterStage', 'buildEnd'];
+
+/**
+ * Un plugin es un objeto con `name` y cualquiera de los hooks:
+ *
+ *   buildStart(context)           antes de la primera etapa (tras limpiar docs/)
+ *   beforeStage(stage, context)   antes de cada etapa ('ts', 'css', 'html', ..., 'report')
+ *   afterStage(stage, context)    después de cada etapa
+ *   buildEnd(context)             al terminar un build completo correctamente
+ *
+ * `context` da acceso al build en curso:
+ *   files        Set con los archivos emitidos (rutas relativas a docs/)
+ *   outputDir    Directorio de salida
+ *   config       Configuración del builder
+ *   readFile(file)             Lee un archivo emitido
+ *   emitFile(file, contents)   Escribe un archivo en docs/ y lo agrega al set
+ *   addReport(key, value)      Agrega una entrada en build-report.json → plugins[name]
+ */
+class QuadKernPluginHost {
+  constructor(builder) {
+    this.builder = builder;
+    this.plugins = [];
+    // Entradas del reporte por plugin: { [name]: { [key]: value } }
+    this.reports = {};
+  }
+
+  register(plugins = []) {
+    this.plugins = [];
+    this.reports = {};
+
+    plugins.forEach((plugin, index) => {
+      if (!plugin || typeof plugin !== 'object') {
+        throw new Error(`${CONFIG_FILES[0]}: plugin #${index} must be an object`);
+      }
+      if (!plugin.name) {
+        throw new Error(`${CONFIG_FILES[0]}: plugin #${index} has no name`);
+      }
+      if (!HOOKS.some(hook => typeof plugin[hook] === 'function')) {
+        console.warn(`⚠️ Plugin ${plugin.name} does not implement any hook (${HOOKS.join(', ')})`);
+      }
+      this.plugins.push(plugin);
+    });
+  }
+
+  /**
+   * Agrega un plugin interno del builder (la recarga en vivo de --serve) después de los de la configuración
+   */
+  add(plugin) {
+    this.plugins.push(plugin);
+  }
+
+  /**
+   * Ejecuta un hook en todos los plugins, en el orden en que se declararon
+   */
+  async run(hook, ...args) {
+    for (const plugin of this.plugins) {
+      if (typeof plugin[hook] !== 'function') continue;
+
+      try {
+        await plugin[hook](...args, this.createContext(plugin));
+      } catch (error) {
+        error.message = `Plugin ${plugin.name} failed in ${hook}${args.length ? `(${args[0]})` : ''}: ${error.message}`;
+        throw error;
+      }
+    }
+  }
+
+  createContext(plugin) {
+    const builder = this.builder;
+    const resolve = (file) => {
+      const filePath = path.resolve(builder.outputDir, file);
+      if (path.relative(path.resolve(builder.outputDir), filePath).startsWith('..')) {
+        throw new Error(`${file} is outside ${builder.outputDir}`);
+      }
+      return filePath;
+    };
+
+    return {
+      files: builder.emittedFiles,
+      outputDir: builder.outputDir,
+      config: builder.config,
+      readFile: (file) => fs.readFileSync(resolve(file), 'utf8'),
+      emitFile: (file, contents) => {
+        const filePath = resolve(file);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, contents);
+        builder.emittedFiles.add(path.relative(builder.outputDir, filePath).split(path.sep).join('/'));
+      },
+      addReport: (key, value) => {
+        this.reports[plugin.name] = { ...this.reports[plugin.name], [key]: value };
+      }
+    };
+  }
+}
+
+export default QuadKernPluginHost;
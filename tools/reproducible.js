@@ -0,0 +1,87 @@
+/**
+ * QuadKern Reproducible
+ * Fecha de build determinista (SOURCE_DATE_EPOCH) y comparación byte a byte de dos salidas
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+// Claves de build-report.json que dependen del build anterior y no de las fuentes
+const HISTORY_KEYS = ['diff'];
+
+class QuadKernReproducible {
+  /**
+   * Fecha que se publica en los artefactos: SOURCE_DATE_EPOCH (segundos), si no la del último commit,
+   * si no null (los artefactos quedan sin fecha antes que con la hora del reloj)
+   * @returns {{ date: Date|null, source: 'SOURCE_DATE_EPOCH'|'git'|null }}
+   */
+  static sourceDate(env = process.env) {
+    if (env.SOURCE_DATE_EPOCH !== undefined && env.SOURCE_DATE_EPOCH !== '') {
+      if (!/^\d+$/.test(env.SOURCE_DATE_EPOCH)) {
+        throw new Error(`SOURCE_DATE_EPOCH must be a Unix timestamp in seconds, got "${env.SOURCE_DATE_EPOCH}"`);
+      }
+      return { date: new Date(Number(env.SOURCE_DATE_EPOCH) * 1000), source: 'SOURCE_DATE_EPOCH' };
+    }
+
+    try {
+      const seconds = execFileSync('git', ['log', '-1', '--format=%ct'], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+      if (/^\d+$/.test(seconds)) {
+        return { date: new Date(Number(seconds) * 1000), source: 'git' };
+      }
+    } catch {
+      // Fuera de un repositorio git (o sin git instalado)
+    }
+
+    return { date: null, source: null };
+  }
+
+  /**
+   * Compara la salida esperada (recién construida) con la existente
+   * @returns {{ files: number, missing: string[], extra: string[], changed: string[] }}
+   */
+  static compare(expectedDir, actualDir) {
+    const expected = listFiles(expectedDir);
+    const actual = fs.existsSync(actualDir) ? listFiles(actualDir) : [];
+
+    const changed = expected
+      .filter(file => actual.includes(file))
+      .filter(file => !QuadKernReproducible.sameContent(file, path.join(expectedDir, file), path.join(actualDir, file)));
+
+    return {
+      files: expected.length,
+      missing: expected.filter(file => !actual.includes(file)),
+      extra: actual.filter(file => !expected.includes(file)),
+      changed
+    };
+  }
+
+  static sameContent(file, expectedPath, actualPath) {
+    const expected = fs.readFileSync(expectedPath);
+    const actual = fs.readFileSync(actualPath);
+    if (path.basename(file) !== 'build-report.json') return expected.equals(actual);
+
+    // El reporte se compara sin el diff contra el build anterior
+    return JSON.stringify(withoutHistory(expected)) === JSON.stringify(withoutHistory(actual));
+  }
+}
+
+function withoutHistory(buffer) {
+  try {
+    const report = JSON.parse(buffer.toString('utf8'));
+    HISTORY_KEYS.forEach(key => delete report[key]);
+    return report;
+  } catch {
+    return buffer.toString('utf8');
+  }
+}
+
+function listFiles(dir, base = dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(fullPath, base);
+    return [path.relative(base, fullPath).split(path.sep).join('/')];
+  }).sort();
+}
+
+export default QuadKernReproducible;
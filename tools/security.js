@@ -0,0 +1,254 @@
+/**
+ * QuadKern Security
+ * Agrega Subresource Integrity a scripts y hojas de estilo y genera la Content Security Policy
+ * de cada página a partir de los orígenes que realmente usa
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import * as cheerio from 'cheerio';
+
+// Política base; las fuentes detectadas en cada página y config.csp.directives se agregan a estas
+const BASE_POLICY = {
+  'default-src': ["'self'"],
+  'script-src': ["'self'"],
+  'style-src': ["'self'"],
+  'img-src': ["'self'"],
+  'font-src': ["'self'"],
+  'connect-src': ["'self'"],
+  'media-src': ["'self'"],
+  'frame-src': ["'none'"],
+  'object-src': ["'none'"],
+  'base-uri': ["'self'"],
+  'form-action': ["'self'"]
+};
+
+// Tipos de <script> que el navegador ejecuta; el resto (JSON-LD, plantillas) no necesita hash
+const EXECUTABLE_TYPES = ['', 'text/javascript', 'application/javascript', 'module'];
+
+const EXTERNAL = /^(https?:)?\/\//i;
+const FONT_EXTENSIONS = /\.(woff2?|ttf|otf|eot)([?#]|$)/i;
+// url("..."), url('...') o url(...) (con comillas escapadas dentro de data: URIs) y @import "..."
+const CSS_URL = /url\(\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^'")\s]+))\s*\)|@import\s+(["'])([^"']+)\4/g;
+
+class QuadKernSecurity {
+  /**
+   * @param {object} options
+   * @param {string} options.outputDir - Directorio con el sitio construido
+   * @param {string} options.algorithm - Algoritmo de SRI ('sha256' | 'sha384' | 'sha512')
+   * @param {boolean} options.sri - Agregar integrity a los scripts y hojas de estilo locales
+   * @param {boolean} options.csp - Generar la meta Content-Security-Policy
+   * @param {boolean} options.allowInlineHandlers - Admitir los atributos on* por hash ('unsafe-hashes')
+   * @param {object} options.directives - Fuentes extra por directiva ({ 'connect-src': ['https://api.example.com'] })
+   */
+  constructor(options = {}) {
+    this.outputDir = options.outputDir;
+    this.algorithm = options.algorithm || 'sha384';
+    this.sri = options.sri !== false;
+    this.csp = options.csp !== false;
+    this.allowInlineHandlers = options.allowInlineHandlers !== false;
+    this.directives = options.directives || {};
+  }
+
+  /**
+   * Aplica SRI y CSP a una página emitida (ruta relativa a outputDir)
+   * @returns {{ html: string, report: { policy: string, integrity: object[], external: object[], inlineHandlers: object[] } }}
+   */
+  apply(page) {
+    // Sin scripting el contenido de <noscript> se parsea como elementos (el fallback del CSS crítico)
+    const $ = cheerio.load(fs.readFileSync(this.resolve(page), 'utf8'), { scriptingEnabled: false });
+    const report = { policy: '', integrity: [], external: [], inlineHandlers: [] };
+    const policy = Object.fromEntries(Object.entries(BASE_POLICY).map(([directive, sources]) => [directive, new Set(sources)]));
+    const allow = (directive, source) => policy[directive].add(source);
+
+    // 1. Scripts y hojas de estilo: integrity si son locales, su origen si son externos
+    $('script[src], link[href]').each((_, node) => {
+      const element = $(node);
+      const kind = subresourceKind(element);
+      if (!kind) return;
+
+      const url = element.attr(node.tagName === 'script' ? 'src' : 'href');
+      if (EXTERNAL.test(url)) {
+        allow(`${kind}-src`, origin(url));
+        if (!element.attr('integrity')) {
+          report.external.push({ element: describe(element), url });
+        }
+        return;
+      }
+
+      const file = this.resolveLocal(page, url);
+      if (!file) return;
+
+      if (kind === 'style') this.collectStylesheetSources(file, allow);
+      if (!this.sri) return;
+
+      const integrity = `${this.algorithm}-${digest(this.algorithm, fs.readFileSync(this.resolve(file)))}`;
+      element.attr('integrity', integrity);
+      report.integrity.push({ file, integrity });
+    });
+
+    if (!this.csp) return { html: $.html(), report };
+
+    // 2. Imágenes, media, frames y formularios externos
+    $('img[src], img[srcset], picture source[srcset], video[poster]').each((_, node) => {
+      const element = $(node);
+      ['src', 'srcset', 'poster'].forEach(attribute => {
+        parseSrcset(element.attr(attribute) || '').forEach(url => addSource(allow, 'img-src', url));
+      });
+    });
+    $('video[src], audio[src], video source[src], audio source[src]').each((_, node) => addSource(allow, 'media-src', $(node).attr('src')));
+    $('iframe[src]').each((_, node) => {
+      policy['frame-src'].delete("'none'");
+      allow('frame-src', EXTERNAL.test($(node).attr('src')) ? origin($(node).attr('src')) : "'self'");
+    });
+    $('form[action]').each((_, node) => addSource(allow, 'form-action', $(node).attr('action')));
+    $('link[rel~="preload"][as="font"][href]').each((_, node) => addSource(allow, 'font-src', $(node).attr('href')));
+
+    // 3. Contenido inline: <style>, <script> ejecutables, atributos style y handlers on*
+    $('style').each((_, node) => allow('style-src', cspHash($(node).text())));
+    $('script:not([src])').each((_, node) => {
+      const type = ($(node).attr('type') || '').trim().toLowerCase();
+      if (EXECUTABLE_TYPES.includes(type)) allow('script-src', cspHash($(node).text()));
+    });
+
+    $('[style]').each((_, node) => {
+      const style = $(node).attr('style');
+      allow('style-src', "'unsafe-hashes'");
+      allow('style-src', cspHash(style));
+      collectCSSURLs(style).forEach(url => addSource(allow, 'img-src', url));
+    });
+
+    $('*').each((_, node) => {
+      Object.entries(node.attribs || {})
+        .filter(([attribute]) => /^on/i.test(attribute))
+        .forEach(([attribute, code]) => {
+          report.inlineHandlers.push({ element: describe($(node)), attribute, code, allowed: this.allowInlineHandlers });
+          if (this.allowInlineHandlers) {
+            allow('script-src', "'unsafe-hashes'");
+            allow('script-src', cspHash(code));
+          }
+        });
+    });
+
+    // 4. Fuentes configuradas a mano (APIs, analytics)
+    Object.entries(this.directives).forEach(([directive, sources]) => {
+      if (!policy[directive]) policy[directive] = new Set();
+      [].concat(sources).forEach(source => policy[directive].add(source));
+    });
+
+    report.policy = Object.entries(policy)
+      .map(([directive, sources]) => `${directive} ${[...sources].join(' ')}`)
+      .join('; ');
+
+    // La meta debe ir antes que cualquier recurso para cubrirlos a todos
+    $('meta[http-equiv="Content-Security-Policy"]').remove();
+    const meta = `<meta http-equiv="Content-Security-Policy" content="${report.policy.replace(/"/g, '&quot;')}">`;
+    const charset = $('head meta[charset]').first();
+    if (charset.length > 0) {
+      charset.after(meta);
+    } else {
+      $('head').prepend(meta);
+    }
+
+    return { html: $.html(), report };
+  }
+
+  /**
+   * Orígenes que carga una hoja de estilo local (url() y @import)
+   */
+  collectStylesheetSources(file, allow) {
+    const css = fs.readFileSync(this.resolve(file), 'utf8');
+    for (const match of css.matchAll(CSS_URL)) {
+      if (match[5]) {
+        addSource(allow, 'style-src', match[5]);
+      } else {
+        const url = cssURL(match);
+        addSource(allow, FONT_EXTENSIONS.test(url) ? 'font-src' : 'img-src', url);
+      }
+    }
+  }
+
+  /**
+   * Archivo local al que apunta una referencia de la página, o null si no existe en la salida
+   */
+  resolveLocal(page, url) {
+    const reference = url.split(/[?#]/)[0];
+    if (!reference) return null;
+
+    const base = reference.startsWith('/') ? '' : path.posix.dirname(page);
+    const file = path.posix.normalize(path.posix.join(base, reference)).replace(/^\/+/, '');
+    return !file.startsWith('..') && fs.existsSync(this.resolve(file)) ? file : null;
+  }
+
+  resolve(file) {
+    return path.join(this.outputDir, file);
+  }
+}
+
+/**
+ * 'script' o 'style' si el elemento carga un subrecurso que admite SRI
+ */
+function subresourceKind(element) {
+  if (element.prop('tagName').toLowerCase() === 'script') return 'script';
+
+  const rel = (element.attr('rel') || '').toLowerCase().split(/\s+/);
+  const as = (element.attr('as') || '').toLowerCase();
+  if (rel.includes('stylesheet') || (rel.includes('preload') && as === 'style')) return 'style';
+  if (rel.includes('modulepreload') || (rel.includes('preload') && as === 'script')) return 'script';
+  return null;
+}
+
+/**
+ * Agrega la fuente de una URL a la directiva: su origen si es externa, data: si es inline
+ */
+function addSource(allow, directive, url) {
+  const value = url.trim();
+  if (/^data:/i.test(value)) {
+    allow(directive, 'data:');
+  } else if (/^blob:/i.test(value)) {
+    allow(directive, 'blob:');
+  } else if (EXTERNAL.test(value)) {
+    allow(directive, origin(value));
+  }
+}
+
+function origin(url) {
+  return new URL(url, 'https://localhost').origin;
+}
+
+function collectCSSURLs(css) {
+  return [...css.matchAll(CSS_URL)].map(match => match[5] || cssURL(match));
+}
+
+function cssURL(match) {
+  return match[1] ?? match[2] ?? match[3];
+}
+
+function parseSrcset(srcset) {
+  return srcset
+    .split(',')
+    .map(candidate => candidate.trim().split(/\s+/)[0])
+    .filter(Boolean);
+}
+
+function digest(algorithm, content) {
+  return crypto.createHash(algorithm).update(content).digest('base64');
+}
+
+function cspHash(content) {
+  return `'sha256-${digest('sha256', content)}'`;
+}
+
+/**
+ * Descripción corta del elemento para el reporte: <link rel="preload" href="./a.css"> → link[href="./a.css"]
+ */
+function describe(element) {
+  const tag = element.prop('tagName').toLowerCase();
+  const id = element.attr('id');
+  const reference = element.attr('src') || element.attr('href');
+  if (id) return `${tag}#${id}`;
+  return reference ? `${tag}[${element.attr('src') ? 'src' : 'href'}="${reference}"]` : tag;
+}
+
+export default QuadKernSecurity;
@@ -0,0 +1,275 @@
+/**
+ * QuadKern SEO
+ * Genera sitemap.xml, robots.txt, los datos estructurados (JSON-LD) de la organización
+ * y los metadatos de cada página (canonical, Open Graph y Twitter cards)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import * as cheerio from 'cheerio';
+import { validateSchema } from './data.js';
+
+const SCHEMA_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'schemas', 'structured-data.schema.json');
+
+// Tipo de proyecto (projects.json → type) → tipo de schema.org
+const PROJECT_TYPES = {
+  game: 'VideoGame',
+  app: 'MobileApplication',
+  web: 'WebApplication'
+};
+
+// Campos sin los que la vista previa al compartir queda incompleta
+const REQUIRED_SOCIAL_FIELDS = ['og:title', 'og:description', 'og:url', 'og:image'];
+
+// Etiquetas que reemplaza injectMeta() (la del layout incluida)
+const META_SELECTOR = 'meta[name="description"], meta[name="robots"], link[rel="canonical"], meta[property^="og:"], meta[name^="twitter:"]';
+
+class QuadKernSEO {
+  /**
+   * @param {object} options
+   * @param {string|null} options.url - URL pública del sitio, sin barra final (https://www.quadkern.com)
+   * @param {object} options.assetManifest - Nombres originales → hasheados, para las URLs absolutas de assets
+   */
+  constructor(options = {}) {
+    this.url = options.url ? options.url.replace(/\/+$/, '') : null;
+    this.assetManifest = options.assetManifest || {};
+  }
+
+  /**
+   * URL pública de un archivo del sitio (index.html → raíz del directorio)
+   */
+  pageURL(file) {
+    return `${this.url}/${file.replace(/(^|\/)index\.html$/, '$1')}`;
+  }
+
+  /**
+   * URL absoluta de un asset local, con su nombre final tras el fingerprint; las URLs externas se conservan
+   */
+  assetURL(file) {
+    if (/^https?:\/\//.test(file)) return file;
+
+    const logical = file.replace(/^\.?\//, '');
+    return `${this.url}/${this.assetManifest[logical] || logical}`;
+  }
+
+  /**
+   * @param {{ file: string, data: object }[]} pages - Páginas con su front-matter
+   *   (`sitemap: false` las excluye, `updated: AAAA-MM-DD` se publica como lastmod)
+   */
+  sitemap(pages) {
+    const entries = pages
+      .filter(({ data }) => data.sitemap !== 'false')
+      .map(({ file, data }) => {
+        const lastmod = data.updated ? `\n    <lastmod>${escapeXML(data.updated)}</lastmod>` : '';
+        return `  <url>\n    <loc>${escapeXML(this.pageURL(file))}</loc>${lastmod}\n  </url>`;
+      });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...entries,
+      '</urlset>',
+      ''
+    ].join('\n');
+  }
+
+  robots(disallow = []) {
+    return [
+      'User-agent: *',
+      ...(disallow.length > 0 ? disallow.map(rule => `Disallow: ${rule}`) : ['Allow: /']),
+      '',
+      `Sitemap: ${this.url}/sitemap.xml`,
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Imagen para compartir (1200×630): el logo centrado sobre el color de fondo del sitio
+   * @returns {{ width: number, height: number, bytes: number }}
+   */
+  async socialImage(sourcePath, outputPath, { width = 1200, height = 630, background = '#0f1624' } = {}) {
+    const logo = await sharp(sourcePath)
+      .resize({ width: Math.round(width * 0.8), height: Math.round(height * 0.6), fit: 'inside' })
+      .toBuffer();
+
+    const output = await sharp({ create: { width, height, channels: 4, background } })
+      .composite([{ input: logo, gravity: 'center' }])
+      .png({ compressionLevel: 9, adaptiveFiltering: true })
+      .toBuffer();
+
+    fs.writeFileSync(outputPath, output);
+    return { width, height, bytes: output.length };
+  }
+
+  /**
+   * Metadatos de una página a partir de su front-matter (title, description, image, imageAlt, ogType, robots)
+   * y los valores por defecto de config.seo.social
+   * @returns {{ tags: { tag: string, attributes: object }[], warnings: string[] }}
+   */
+  socialMeta(file, data, defaults = {}) {
+    const url = this.url ? this.pageURL(file) : null;
+    // Una página excluida de los buscadores (404.html) no declara URL canónica
+    const indexable = !/noindex/i.test(data.robots || '');
+    const image = data.image || defaults.image;
+    const imageURL = image && this.url ? this.assetURL(image) : null;
+    const imageAlt = data.imageAlt || defaults.imageAlt || data.title;
+
+    const properties = {
+      'og:type': data.ogType || 'website',
+      'og:site_name': defaults.siteName,
+      'og:locale': defaults.locale,
+      'og:title': data.title,
+      'og:description': data.description,
+      'og:url': url,
+      'og:image': imageURL,
+      // Las dimensiones solo se conocen para la imagen generada
+      'og:image:width': !data.image && defaults.imageWidth,
+      'og:image:height': !data.image && defaults.imageHeight,
+      'og:image:alt': imageURL && imageAlt
+    };
+    const names = {
+      'description': data.description,
+      'robots': data.robots,
+      'twitter:card': imageURL ? 'summary_large_image' : 'summary',
+      'twitter:site': defaults.twitterSite,
+      'twitter:title': data.title,
+      'twitter:description': data.description,
+      'twitter:image': imageURL,
+      'twitter:image:alt': imageURL && imageAlt
+    };
+
+    const tags = [
+      ...(url && indexable ? [{ tag: 'link', attributes: { rel: 'canonical', href: url } }] : []),
+      ...Object.entries(names)
+        .filter(([, content]) => content)
+        .map(([name, content]) => ({ tag: 'meta', attributes: { name, content: String(content) } })),
+      ...Object.entries(properties)
+        .filter(([, content]) => content)
+        .map(([property, content]) => ({ tag: 'meta', attributes: { property, content: String(content) } }))
+    ];
+
+    const hints = {
+      'og:title': 'front-matter "title"',
+      'og:description': 'front-matter "description"',
+      'og:url': 'seo.url or public/CNAME',
+      'og:image': this.url ? 'front-matter "image" or seo.social.image' : 'seo.url or public/CNAME'
+    };
+    const warnings = REQUIRED_SOCIAL_FIELDS
+      .filter(field => !properties[field])
+      .map(field => `missing social meta "${field}" (set ${hints[field]})`);
+
+    return { tags, warnings };
+  }
+
+  /**
+   * Reemplaza description, canonical, og:* y twitter:* del <head> por las etiquetas generadas
+   */
+  injectMeta(html, tags) {
+    const $ = cheerio.load(html);
+    const head = $('head');
+    const anchor = head.find('title').first();
+
+    head.find(META_SELECTOR).remove();
+
+    const markup = tags.map(({ tag, attributes }) => {
+      const element = $(`<${tag}>`);
+      Object.entries(attributes).forEach(([name, value]) => element.attr(name, value));
+      return $.html(element);
+    }).join('');
+
+    if (anchor.length > 0) {
+      anchor.after(markup);
+    } else {
+      head.prepend(markup);
+    }
+
+    return $.html();
+  }
+
+  /**
+   * JSON-LD con la organización, sus miembros (team.json) y sus proyectos (projects.json)
+   */
+  structuredData({ organization, team = [], projects = [] }) {
+    const organizationId = `${this.url}/#organization`;
+
+    const graph = [
+      {
+        '@type': 'Organization',
+        '@id': organizationId,
+        name: organization.name,
+        url: this.pageURL('index.html'),
+        logo: this.assetURL(organization.logo),
+        description: organization.description,
+        email: organization.email,
+        ...(organization.sameAs.length > 0 ? { sameAs: organization.sameAs } : {}),
+        member: team.map(member => ({
+          '@type': 'Person',
+          name: member.name,
+          jobTitle: member.role,
+          description: member.description,
+          image: this.assetURL(member.avatar),
+          knowsAbout: member.skills
+        }))
+      },
+      ...projects.map(project => ({
+        '@type': PROJECT_TYPES[project.type],
+        '@id': `${this.url}/#project-${project.id}`,
+        name: project.title,
+        description: project.description,
+        image: this.assetURL(project.image),
+        keywords: project.techStack.join(', '),
+        creator: { '@id': organizationId }
+      }))
+    ];
+
+    const structuredData = { '@context': 'https://schema.org', '@graph': graph };
+    this.validate(structuredData);
+    return structuredData;
+  }
+
+  /**
+   * Valida el JSON-LD contra tools/schemas/structured-data.schema.json
+   */
+  validate(structuredData) {
+    const [organization, ...projects] = structuredData['@graph'];
+
+    const errors = [
+      ...validateSchema(structuredData, SCHEMA_PATH),
+      ...validateSchema(organization, SCHEMA_PATH, '#/$defs/organization').map(error => `/@graph/0${error}`),
+      ...projects.flatMap((project, index) =>
+        validateSchema(project, SCHEMA_PATH, '#/$defs/project').map(error => `/@graph/${index + 1}${error}`)
+      )
+    ];
+
+    if (errors.length > 0) {
+      errors.forEach(error => console.error(`   structured data ${error}`));
+      throw new Error(`${errors.length} structured data error(s), see ${path.relative('.', SCHEMA_PATH)}`);
+    }
+  }
+
+  /**
+   * Inserta (o reemplaza) el JSON-LD al final del <head>
+   */
+  injectStructuredData(html, structuredData) {
+    const $ = cheerio.load(html);
+    // "</script>" dentro del JSON cerraría la etiqueta antes de tiempo
+    const json = JSON.stringify(structuredData).replace(/</g, '\\u003c');
+
+    $('script[type="application/ld+json"][data-structured-data]').remove();
+    $('head').append(`<script type="application/ld+json" data-structured-data>${json}</script>`);
+
+    return $.html();
+  }
+}
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export default QuadKernSEO;
@@ -0,0 +1,251 @@
+/**
+ * QuadKern Server
+ * Sirve la salida del build como GitHub Pages: 404.html para rutas inexistentes, redirección a la barra final
+ * en directorios, páginas sin extensión y el dominio de CNAME; opcionalmente recarga el navegador
+ */
+
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.pdf': 'application/pdf'
+};
+
+// Rutas propias del servidor: no existen en la salida ni en GitHub Pages
+const LIVE_RELOAD_PATH = '/__quadkern/live-reload';
+const LIVE_RELOAD_SCRIPT = `${LIVE_RELOAD_PATH}.js`;
+
+// Script externo (no inline) para que lo admita la CSP de cada página con script-src/connect-src 'self'
+const LIVE_RELOAD_CLIENT = `(() => {
+  const source = new EventSource('${LIVE_RELOAD_PATH}');
+  source.addEventListener('reload', () => window.location.reload());
+})();
+`;
+
+class QuadKernServer {
+  /**
+   * @param {object} options
+   * @param {string} options.root - Directorio con el sitio construido
+   * @param {number} options.port - Puerto (0 elige uno libre)
+   * @param {string} options.host - Interfaz en la que escucha
+   * @param {boolean} options.liveReload - Inyectar el cliente de recarga en vivo en las páginas
+   */
+  constructor(options = {}) {
+    this.root = path.resolve(options.root);
+    this.port = options.port ?? 4000;
+    this.host = options.host || 'localhost';
+    this.liveReload = options.liveReload === true;
+    this.domain = readCNAME(this.root);
+    this.server = null;
+    // Conexiones abiertas de EventSource
+    this.clients = new Set();
+  }
+
+  /**
+   * @returns {Promise<string>} URL local del servidor
+   */
+  start() {
+    this.server = http.createServer((request, response) => this.handle(request, response));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', error => {
+        reject(error.code === 'EADDRINUSE'
+          ? new Error(`Port ${this.port} is already in use (pick another one with --port)`)
+          : error);
+      });
+      this.server.listen(this.port, this.host, () => {
+        resolve(`http://${this.host}:${this.server.address().port}`);
+      });
+    });
+  }
+
+  stop() {
+    this.clients.forEach(client => client.end());
+    this.clients.clear();
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  /**
+   * Pide a los navegadores conectados que recarguen la página
+   */
+  reload() {
+    this.clients.forEach(client => client.write('event: reload\ndata: {}\n\n'));
+  }
+
+  handle(request, response) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      response.writeHead(405, { Allow: 'GET, HEAD', 'Content-Type': MIME_TYPES['.txt'] });
+      response.end('405 Method Not Allowed\n');
+      return;
+    }
+
+    const url = new URL(request.url, 'http://localhost');
+
+    // GitHub Pages redirige el dominio "hermano" (quadkern.com ↔ www.quadkern.com) al de CNAME
+    const [hostname, port] = (request.headers.host || '').split(':');
+    if (this.domain && hostname === siblingDomain(this.domain)) {
+      this.redirect(response, `http://${this.domain}${port ? `:${port}` : ''}${url.pathname}${url.search}`);
+      return;
+    }
+
+    if (this.liveReload && url.pathname === LIVE_RELOAD_PATH) {
+      this.connect(request, response);
+      return;
+    }
+    if (this.liveReload && url.pathname === LIVE_RELOAD_SCRIPT) {
+      this.send(request, response, 200, MIME_TYPES['.js'], Buffer.from(LIVE_RELOAD_CLIENT));
+      return;
+    }
+
+    const resolved = this.resolve(url.pathname);
+    if (resolved.redirect) {
+      this.redirect(response, `${resolved.redirect}${url.search}`);
+    } else if (resolved.file) {
+      this.sendFile(request, response, resolved.status, resolved.file);
+    } else {
+      this.notFound(request, response, url.pathname, resolved.status);
+    }
+  }
+
+  /**
+   * Traduce una ruta de la URL al archivo que serviría GitHub Pages
+   * @returns {{ status: number, file?: string, redirect?: string }}
+   */
+  resolve(pathname) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(pathname);
+    } catch {
+      return { status: 400 };
+    }
+
+    const filePath = path.join(this.root, path.normalize(decoded));
+    if (decoded.includes('\0') || path.relative(this.root, filePath).startsWith('..')) {
+      return { status: 404 };
+    }
+
+    const stats = statSafe(filePath);
+
+    // /equipo/ → equipo/index.html
+    if (decoded.endsWith('/')) {
+      const index = path.join(filePath, 'index.html');
+      return isFile(index) ? { status: 200, file: index } : { status: 404 };
+    }
+
+    if (stats?.isFile()) return { status: 200, file: filePath };
+
+    // /equipo → /equipo/ (301) si el directorio tiene index.html
+    if (stats?.isDirectory() && isFile(path.join(filePath, 'index.html'))) {
+      return { status: 301, redirect: `${pathname}/` };
+    }
+
+    // /servicios → servicios.html
+    if (isFile(`${filePath}.html`)) return { status: 200, file: `${filePath}.html` };
+
+    return { status: 404 };
+  }
+
+  notFound(request, response, pathname, status) {
+    console.warn(`⚠️ ${status} ${request.method} ${pathname}`);
+
+    const page = path.join(this.root, '404.html');
+    if (status === 404 && isFile(page)) {
+      this.sendFile(request, response, 404, page);
+    } else {
+      this.send(request, response, status, MIME_TYPES['.txt'], Buffer.from(`${status} ${http.STATUS_CODES[status]}\n`));
+    }
+  }
+
+  redirect(response, location) {
+    response.writeHead(301, { Location: location, 'Content-Type': MIME_TYPES['.txt'] });
+    response.end(`301 Moved Permanently: ${location}\n`);
+  }
+
+  sendFile(request, response, status, file) {
+    const extension = path.extname(file).toLowerCase();
+    let body = fs.readFileSync(file);
+
+    if (extension === '.html' && this.liveReload) {
+      body = Buffer.from(injectClient(body.toString('utf8')));
+    }
+
+    this.send(request, response, status, MIME_TYPES[extension] || 'application/octet-stream', body);
+  }
+
+  send(request, response, status, contentType, body) {
+    response.writeHead(status, {
+      'Content-Type': contentType,
+      'Content-Length': body.length,
+      // GitHub Pages cachea 10 minutos; en local se revalida siempre para ver el último build
+      'Cache-Control': 'no-cache'
+    });
+    response.end(request.method === 'HEAD' ? undefined : body);
+  }
+
+  connect(request, response) {
+    response.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    response.write('retry: 1000\n\n');
+
+    this.clients.add(response);
+    request.on('close', () => this.clients.delete(response));
+  }
+}
+
+function injectClient(html) {
+  const script = `<script src="${LIVE_RELOAD_SCRIPT}"></script>`;
+  const index = html.toLowerCase().lastIndexOf('</body>');
+  return index === -1 ? `${html}${script}` : `${html.slice(0, index)}${script}${html.slice(index)}`;
+}
+
+/**
+ * Dominio personalizado de la salida (el que GitHub Pages lee de CNAME), o null
+ */
+function readCNAME(root) {
+  const cnamePath = path.join(root, 'CNAME');
+  if (!isFile(cnamePath)) return null;
+  return fs.readFileSync(cnamePath, 'utf8').trim().split(/\s+/)[0].toLowerCase() || null;
+}
+
+function siblingDomain(domain) {
+  return domain.startsWith('www.') ? domain.slice(4) : `www.${domain}`;
+}
+
+function statSafe(file) {
+  try {
+    return fs.statSync(file);
+  } catch {
+    return null;
+  }
+}
+
+function isFile(file) {
+  return Boolean(statSafe(file)?.isFile());
+}
+
+export default QuadKernServer;
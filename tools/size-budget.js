@@ -0,0 +1,129 @@
+/**
+ * QuadKern Size Budget
+ * Mide tamaños (raw, gzip, brotli), compara con el build anterior y valida presupuestos
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+
+const METRICS = ['raw', 'gzip', 'brotli'];
+
+class QuadKernSizeBudget {
+  /**
+   * @param {object} budgets - Presupuestos en KB: { total: { raw, gzip, brotli }, files: { 'main.js': { gzip } } }
+   */
+  constructor(budgets = {}) {
+    this.budgets = budgets;
+  }
+
+  /**
+   * Mide todos los archivos de dir, indexados por su nombre lógico (sin hash).
+   * Los source maps (.map) quedan fuera: el navegador solo los pide con las devtools abiertas
+   */
+  measure(dir, manifest = {}, exclude = []) {
+    const logicalNames = Object.fromEntries(Object.entries(manifest).map(([original, hashed]) => [hashed, original]));
+    const sizes = {};
+
+    for (const file of listFiles(dir)) {
+      if (exclude.includes(file) || file.endsWith('.map')) continue;
+
+      const content = fs.readFileSync(path.join(dir, file));
+      const gzip = zlib.gzipSync(content, { level: zlib.constants.Z_BEST_COMPRESSION }).length;
+      const brotli = zlib.brotliCompressSync(content, {
+        params: { [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY }
+      }).length;
+      const name = logicalNames[file] || file;
+
+      sizes[name] = {
+        ...(name !== file ? { file } : {}),
+        bytes: content.length,
+        kb: toKB(content.length),
+        gzip,
+        brotli
+      };
+    }
+
+    return sizes;
+  }
+
+  total(sizes) {
+    return Object.values(sizes).reduce(
+      (total, size) => ({
+        bytes: total.bytes + size.bytes,
+        kb: toKB(total.bytes + size.bytes),
+        gzip: total.gzip + size.gzip,
+        brotli: total.brotli + size.brotli
+      }),
+      { bytes: 0, kb: 0, gzip: 0, brotli: 0 }
+    );
+  }
+
+  /**
+   * Diferencias por archivo respecto al reporte anterior
+   */
+  diff(previousSizes = {}, sizes) {
+    const changes = {};
+    const names = new Set([...Object.keys(previousSizes), ...Object.keys(sizes)]);
+
+    for (const name of [...names].sort()) {
+      const before = previousSizes[name];
+      const after = sizes[name];
+
+      if (!before) {
+        changes[name] = { status: 'added', bytes: after.bytes, gzip: after.gzip };
+      } else if (!after) {
+        changes[name] = { status: 'removed', bytes: -before.bytes, gzip: -(before.gzip || 0) };
+      } else if (before.bytes !== after.bytes) {
+        changes[name] = {
+          status: 'changed',
+          bytes: after.bytes - before.bytes,
+          gzip: before.gzip === undefined ? null : after.gzip - before.gzip,
+          percent: before.bytes ? Math.round((after.bytes - before.bytes) / before.bytes * 10000) / 100 : null
+        };
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Devuelve las violaciones de presupuesto (vacío si todo está dentro del límite)
+   */
+  check(sizes, total) {
+    const violations = [];
+
+    const compare = (name, size, budget = {}) => {
+      for (const metric of METRICS) {
+        if (budget[metric] === undefined) continue;
+
+        const actual = metric === 'raw' ? size.bytes : size[metric];
+        const limit = budget[metric] * 1024;
+        if (actual > limit) {
+          violations.push({ file: name, metric, actualKb: toKB(actual), budgetKb: budget[metric] });
+        }
+      }
+    };
+
+    Object.entries(this.budgets.files || {}).forEach(([name, budget]) => {
+      if (sizes[name]) compare(name, sizes[name], budget);
+    });
+    compare('total', total, this.budgets.total);
+
+    return violations;
+  }
+}
+
+function listFiles(dir, base = dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(fullPath, base);
+    return [path.relative(base, fullPath).split(path.sep).join('/')];
+  }).sort();
+}
+
+function toKB(bytes) {
+  return Math.round(bytes / 1024 * 100) / 100;
+}
+
+export default QuadKernSizeBudget;
@@ -0,0 +1,58 @@
+/**
+ * QuadKern Tailwind Compiler
+ * Genera en build una hoja estática con las utilidades de Tailwind que usa el sitio
+ * (reemplaza al compilador en runtime de cdn.tailwindcss.com)
+ */
+
+import postcss from 'postcss';
+import tailwindcss from 'tailwindcss';
+import forms from '@tailwindcss/forms';
+import containerQueries from '@tailwindcss/container-queries';
+import { transform } from 'lightningcss';
+
+const ENTRY_CSS = '@tailwind base;\n@tailwind components;\n@tailwind utilities;\n';
+
+class QuadKernTailwind {
+  /**
+   * @param {object} options
+   * @param {boolean} options.minify - Minificar la hoja generada
+   */
+  constructor(options = {}) {
+    this.minify = options.minify !== false;
+  }
+
+  /**
+   * Compila las utilidades usadas en los contenidos dados
+   * @param {Array<{raw: string, extension: string}>} content - HTML y JS a escanear
+   */
+  async compile(content) {
+    const config = {
+      content,
+      // Mismos plugins que cargaba el CDN (?plugins=forms,container-queries)
+      plugins: [forms, containerQueries]
+    };
+
+    const result = await postcss([tailwindcss(config)]).process(ENTRY_CSS, { from: undefined });
+    let css = result.css;
+
+    let utilities = 0;
+    result.root.walkRules(rule => {
+      if (rule.selector.startsWith('.')) utilities++;
+    });
+
+    if (this.minify) {
+      css = transform({ filename: 'tailwind.css', code: Buffer.from(css), minify: true }).code.toString();
+    }
+
+    return {
+      css,
+      report: {
+        utilities,
+        bytes: Buffer.byteLength(css),
+        warnings: result.warnings().map(warning => warning.text)
+      }
+    };
+  }
+}
+
+export default QuadKernTailwind;
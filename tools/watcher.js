@@ -0,0 +1,78 @@
+/**
+ * QuadKern Watcher
+ * Observa las fuentes y dispara rebuilds incrementales por etapa
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+class QuadKernWatcher {
+  /**
+   * @param {object} builder - Instancia de QuadKernBuilder
+   * @param {object} options
+   * @param {number} options.debounce - Milisegundos a esperar antes de reconstruir
+   */
+  constructor(builder, options = {}) {
+    this.builder = builder;
+    this.debounce = options.debounce || 100;
+    this.watchers = [];
+    this.pendingFiles = new Set();
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    const targets = [
+      { dir: this.builder.srcDir, recursive: true },
+      { dir: this.builder.publicDir, recursive: true }
+    ];
+
+    for (const { dir, recursive } of targets) {
+      const watcher = fs.watch(dir, { recursive }, (_event, filename) => {
+        if (filename) {
+          this.queue(path.join(dir, filename.toString()));
+        }
+      });
+      this.watchers.push(watcher);
+    }
+
+    console.log(`👀 Watching ${this.builder.srcDir} (pages, partials, TS, CSS) and ${this.builder.publicDir} for changes...`);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+  }
+
+  queue(file) {
+    if (this.builder.getStagesForFile(file).length === 0) return;
+
+    this.pendingFiles.add(file);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.debounce);
+  }
+
+  async flush() {
+    // Si hay un rebuild en curso, se reintenta al terminar
+    if (this.running) {
+      this.timer = setTimeout(() => this.flush(), this.debounce);
+      return;
+    }
+
+    const files = [...this.pendingFiles];
+    this.pendingFiles.clear();
+    if (files.length === 0) return;
+
+    const stages = new Set(files.flatMap(file => this.builder.getStagesForFile(file)));
+
+    this.running = true;
+    try {
+      await this.builder.rebuild([...stages], files);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+export default QuadKernWatcher;